@@ -2,8 +2,8 @@
  * Configuration options for draggable elements
  */
 export interface DataDragOptions {
-  /** Layout direction: 'vertical' or 'horizontal' */
-  direction?: 'vertical' | 'horizontal';
+  /** Layout direction; 'auto' reads the container's CSS (default: 'vertical') */
+  direction?: 'vertical' | 'horizontal' | 'grid' | 'auto';
   /** Create copies when dragging to other containers */
   copy?: boolean;
   /** Allow sorting within the container */
@@ -12,6 +12,46 @@ export interface DataDragOptions {
   handle?: string | null;
   /** Animation duration in milliseconds */
   animation?: number;
+  /** Long-press delay for touch in milliseconds (0 = drag immediately) */
+  touchDelay?: number;
+  /** Make the item focusable and draggable with the keyboard */
+  keyboard?: boolean;
+  /** Group name, overrides the container's group for this item (default: null) */
+  group?: string | null;
+  /** Auto-scroll the window and scrollable containers near their edges (default: true) */
+  scroll?: boolean;
+  /** Distance from an edge, in pixels, where auto-scroll starts (default: 40) */
+  scrollEdge?: number;
+  /** Fastest auto-scroll step in pixels per frame (default: 20) */
+  scrollSpeed?: number;
+  /** Name of a curve in DataDrag.scrollCurves (default: 'ease') */
+  scrollCurve?: string;
+  /** Move a stand-in instead of the item during pointer drags: true, or a <template> selector (default: false) */
+  placeholder?: boolean | string;
+  /** Extra class for the placeholder (default: null) */
+  placeholderClass?: string | null;
+  /** Drag preview: null (clone), a <template> selector, a DataDrag.registerMirror name or 'native' (default: null) */
+  mirror?: string | null;
+  /** [x, y] where the pointer holds the preview, null keeps the grab point (default: null) */
+  mirrorOffset?: [number, number] | null;
+  /** Preview scale (default: 1) */
+  mirrorScale?: number;
+  /** Preview rotation in degrees (default: 0) */
+  mirrorTilt?: number;
+  /** Show how many items are dragged when there is more than one (default: false) */
+  mirrorBadge?: boolean;
+  /** How long the mirror takes to fly into its slot on drop or cancel, in milliseconds (default: 200, 0 = vanish) */
+  settle?: number;
+  /** Name of an easing in DataDrag.settleEasings (default: 'ease-out') */
+  settleEasing?: string;
+  /** Ctrl/Cmd-click, Shift-click and keyboard selection; selected items drag together (default: false) */
+  select?: boolean;
+  /** 'sort' shifts the list to make room, 'swap' trades places with the item dropped on (default: 'sort') */
+  mode?: 'sort' | 'swap';
+  /** Let other items be dropped onto this one with pointer drags (default: false) */
+  merge?: boolean;
+  /** Share of the item's size, around its centre, that targets the item instead of sorting (default: 0.5) */
+  mergeZone?: number;
 }
 
 /**
@@ -24,6 +64,95 @@ export interface AccessConfig {
   allow: string[];
   /** CSS selectors to deny */
   deny: string[];
+  /** Names of predicates registered with DataDrag.registerRule, all must pass */
+  rules?: string[];
+}
+
+/**
+ * What a registered rule is asked about
+ */
+export interface RuleContext {
+  /** The item being dragged */
+  item: HTMLElement;
+  /** Container the item was picked up from */
+  source: HTMLElement;
+  /** Container it would be dropped into */
+  target: HTMLElement;
+  /** Proposed draggable index, null when not yet known */
+  index: number | null;
+}
+
+/**
+ * A named drop predicate, returns true to allow the drop
+ */
+export type DataDragRule = (context: RuleContext) => boolean;
+
+/**
+ * What a registered mirror renderer is given
+ */
+export interface MirrorContext {
+  /** The item being dragged */
+  item: HTMLElement;
+  /** Number of items being dragged */
+  count: number;
+  /** The item's options */
+  options: DataDragOptions;
+}
+
+/**
+ * A named drag preview renderer, returns the element that follows the pointer
+ */
+export type MirrorRenderer = (context: MirrorContext) => HTMLElement;
+
+/**
+ * Drag group configuration
+ */
+export interface GroupConfig {
+  /** Group name */
+  name: string;
+  /** Whether items may leave: true, false or 'clone' (they leave as copies) */
+  pull?: boolean | 'clone';
+  /** Groups whose items may enter: true (any), false (none), a name or names (default: own name) */
+  put?: boolean | string | string[];
+}
+
+/**
+ * Screen reader messages
+ * Placeholders: {item}, {position}, {total}, {container}, {count} and {target}
+ */
+export interface DataDragMessages {
+  /** Announced when an item is picked up */
+  pickup: string;
+  /** Announced when an item changes position */
+  move: string;
+  /** Announced when an item is dropped */
+  drop: string;
+  /** Announced when a container refuses an item */
+  denied: string;
+  /** Announced when a drag is cancelled */
+  cancel: string;
+  /** Announced when async validation rolls a drop back */
+  rollback: string;
+  /** Announced when several selected items are picked up */
+  pickupMany: string;
+  /** Announced when several selected items are dropped */
+  dropMany: string;
+  /** Announced when an item is selected */
+  select: string;
+  /** Announced when an item is deselected */
+  deselect: string;
+  /** Announced when Escape clears the selection */
+  clearSelection: string;
+  /** Announced when a drag targets an item to drop onto */
+  merge: string;
+  /** Announced when an item is dropped onto another item */
+  merged: string;
+  /** Announced when a swap-mode drag marks the item it would trade places with */
+  swap: string;
+  /** Announced when two items have swapped places */
+  swapped: string;
+  /** Usage hint referenced by every item's aria-describedby */
+  instructions: string;
 }
 
 /**
@@ -32,46 +161,332 @@ export interface AccessConfig {
 export interface ParentConfig {
   /** Attributes to apply to dropped items */
   adopted?: Record<string, any>;
-  /** Access control rules */
+  /** Drag group: a name, or name with pull/put rules */
+  group?: string | GroupConfig;
+  /** Access control rules, tested against the source container */
   access?: AccessConfig;
+  /** Access control rules, tested against the dragged item */
+  accept?: AccessConfig;
+  /** Most draggable items the container may hold */
+  max?: number;
+  /** Fewest draggable items the container may be left with */
+  min?: number;
+  /** What a full container does with an incoming item (default: 'deny') */
+  overflow?: 'deny' | 'push' | 'swap';
+  /** Selector of the container that 'push' sends the last item to */
+  overflowTo?: string;
+  /** A single-item slot: a dropped item replaces the one already there */
+  slot?: boolean;
+  /** Where a slot's replaced item goes: back to its 'origin' (default), 'discard', or a container selector */
+  replaced?: 'origin' | 'discard' | string;
+  /** Screen reader message overrides for this container */
+  messages?: Partial<DataDragMessages>;
+  /** Selection for the items in this container, unless an item sets its own */
+  select?: boolean;
+  /** Drag preview for the items in this container, unless an item sets its own */
+  mirror?: string | null;
+  /** Preview offset for the items in this container */
+  mirrorOffset?: [number, number] | null;
+  /** Preview scale for the items in this container */
+  mirrorScale?: number;
+  /** Preview rotation in degrees for the items in this container */
+  mirrorTilt?: number;
+  /** Preview count badge for the items in this container */
+  mirrorBadge?: boolean;
+  /** Drops onto the items in this container, unless an item sets its own */
+  merge?: boolean;
+  /** Merge zone for the items in this container */
+  mergeZone?: number;
+  /** Sort or swap mode for the items in this container, unless an item sets its own */
+  mode?: 'sort' | 'swap';
+  /** Deepest level items may reach below this container (0 keeps the tree flat); nested lists inherit it */
+  maxDepth?: number;
+  /** Pixels per tree level for outliner-style indent and outdent; nested lists inherit it */
+  indent?: number;
+  /** Milliseconds a drag rests on a collapsed item before it expands, false to never expand (default: 600 in trees with indent, off otherwise) */
+  expandDelay?: number | false;
+}
+
+/**
+ * Position fields shared by every drag event detail
+ * Draggable indexes count only [data-drag] children
+ */
+export interface IndexDetail {
+  /** Index among all children before the change */
+  oldIndex: number;
+  /** Index among all children after the change */
+  newIndex: number;
+  /** Index among [data-drag] children before the change */
+  oldDraggableIndex: number;
+  /** Index among [data-drag] children after the change */
+  newDraggableIndex: number;
+}
+
+/**
+ * Container paths of an item before and after a change, outermost container first
+ * A top-level list has a path of one, each nested list adds its own container
+ */
+export interface PathDetail {
+  /** Containers the item sat in before the change */
+  oldPath: HTMLElement[];
+  /** Containers the item sits in after the change */
+  newPath: HTMLElement[];
 }
 
 /**
  * Event detail for drag events
  */
-export interface DragEventDetail {
+export interface DragEventDetail extends IndexDetail {
   /** The item being dragged */
   item: HTMLElement;
+  /** Every item being dragged, in document order (just the item unless a selection is dragged) */
+  items: HTMLElement[];
   /** The source container */
   parent: HTMLElement;
 }
 
+/**
+ * Event detail for cancel events
+ */
+export interface CancelEventDetail extends DragEventDetail {
+  /** Index the item was restored to in its original parent */
+  index: number;
+  /** Original left coordinate of the item */
+  x: number;
+  /** Original top coordinate of the item */
+  y: number;
+  /** Why the drag was cancelled */
+  reason: 'escape' | 'api' | 'pointercancel' | 'blur' | 'invalid' | 'vetoed';
+  /** Resolves once the mirror has flown back into the item's slot */
+  settled: Promise<void>;
+}
+
+/**
+ * Event detail for add, remove and update events
+ */
+export interface SortEventDetail extends IndexDetail, PathDetail {
+  /** The dropped item (the copy for copy operations) */
+  item: HTMLElement;
+  /** Every item dropped, in their new order */
+  items: HTMLElement[];
+  /** The source container */
+  from: HTMLElement;
+  /** The target container */
+  to: HTMLElement;
+  /** Whether this was a copy operation */
+  isCopy: boolean;
+  /** Items pushed, swapped or replaced out of the way */
+  displaced: HTMLElement[];
+}
+
 /**
  * Event detail for drop events
  */
-export interface DropEventDetail {
+export interface DropEventDetail extends IndexDetail, PathDetail {
   /** The dropped item */
   item: HTMLElement;
+  /** Every item dropped, in their new order; selected items that were refused are left out */
+  items: HTMLElement[];
   /** The source container */
   from: HTMLElement;
   /** The target container */
   to: HTMLElement;
   /** Whether this was a copy operation */
   isCopy: boolean;
+  /** Item the drag was released onto; the lists are left unchanged (null for ordinary drops) */
+  target: HTMLElement | null;
+  /** Items pushed, swapped or replaced out of the way by the drop */
+  displaced: HTMLElement[];
+  /**
+   * Delay the final decision on a pending promise; a rejection rolls the drop back.
+   * Must be called synchronously while the event is being dispatched.
+   */
+  waitUntil(promise: Promise<any>): void;
+  /** Resolves once the mirror has flown into the item's slot */
+  settled: Promise<void>;
+}
+
+/**
+ * Event detail for rollback events
+ */
+export interface RollbackEventDetail extends IndexDetail, PathDetail {
+  /** The original item, back in its source container */
+  item: HTMLElement;
+  /** Every item the drop had placed */
+  items: HTMLElement[];
+  /** The source container */
+  from: HTMLElement;
+  /** The container the item had been dropped into */
+  to: HTMLElement;
+  /** Whether the rolled back drop was a copy (the copy has been removed) */
+  isCopy: boolean;
+  /** Item the rolled back drop was onto, null for ordinary drops */
+  target: HTMLElement | null;
+  /** Rejection reason from the validation promise */
+  error: any;
 }
 
 /**
  * Event detail for move events
  */
-export interface MoveEventDetail {
+export interface MoveEventDetail extends IndexDetail, PathDetail {
   /** The item being moved */
   item: HTMLElement;
+  /** Every item being dragged; the others join the item on drop */
+  items: HTMLElement[];
   /** The previous container */
-  from: HTMLElement | null;
+  from: HTMLElement;
   /** The new container */
   to: HTMLElement;
   /** Reference element for insertion */
   reference: HTMLElement | null;
+  /** Placeholder standing in for the item, null unless placeholder mode is on */
+  placeholder: HTMLElement | null;
+}
+
+/**
+ * Event detail for select events
+ */
+export interface SelectEventDetail {
+  /** Item whose selection changed */
+  item: HTMLElement;
+  /** Whether the item is now selected */
+  selected: boolean;
+  /** Every selected item, in document order */
+  items: HTMLElement[];
+}
+
+/**
+ * Event detail for merge events, fired on the item about to become a drop target
+ */
+export interface MergeEventDetail {
+  /** The item being dragged */
+  item: HTMLElement;
+  /** Every item being dragged */
+  items: HTMLElement[];
+  /** Item under the pointer that would take the drop */
+  target: HTMLElement;
+  /** Container holding the target */
+  parent: HTMLElement;
+}
+
+/**
+ * One element's part in a swap
+ */
+export interface SwapMove extends IndexDetail, PathDetail {
+  /** Element that moved */
+  item: HTMLElement;
+  /** Container it left */
+  from: HTMLElement;
+  /** Container it is in now */
+  to: HTMLElement;
+}
+
+/**
+ * Event detail for swap events, fired on the container the dragged item landed in
+ */
+export interface SwapEventDetail {
+  /** The dragged item */
+  item: HTMLElement;
+  /** Item it traded places with, null when it was dropped into an empty container */
+  target: HTMLElement | null;
+  /** Container the dragged item came from */
+  from: HTMLElement;
+  /** Container the dragged item is in now */
+  to: HTMLElement;
+  /** The dragged item's move, then the target's */
+  moves: SwapMove[];
+  /**
+   * Delay the final decision on a pending promise; a rejection swaps them back.
+   * Must be called synchronously while the event is being dispatched.
+   */
+  waitUntil(promise: Promise<any>): void;
+  /** Resolves once the mirror has flown into the item's new slot */
+  settled: Promise<void>;
+}
+
+/**
+ * Event detail for expand events
+ */
+export interface ExpandEventDetail {
+  /** Collapsed tree item about to expand */
+  item: HTMLElement;
+  /** The item being dragged */
+  dragged: HTMLElement;
+}
+
+/**
+ * Event detail for enter, leave and over events
+ */
+export interface HoverEventDetail {
+  /** The item being dragged */
+  item: HTMLElement;
+  /** The container being hovered */
+  parent: HTMLElement;
+  /** Whether the container accepts the item (enter and over only) */
+  allowed?: boolean;
+  /** Pointer X coordinate (over only, null for keyboard drags) */
+  clientX?: number | null;
+  /** Pointer Y coordinate (over only, null for keyboard drags) */
+  clientY?: number | null;
+}
+
+/**
+ * Event detail for denied events
+ */
+export interface DeniedEventDetail {
+  /** The item being dragged */
+  item: HTMLElement;
+  /** Container the item was picked up from */
+  source: HTMLElement;
+  /** Container that refused the item */
+  parent: HTMLElement;
+  /** Proposed draggable index */
+  index: number | null;
+  /** Which check refused: a drop into the item itself, the tree's maxDepth, groups, access rules or accept rules */
+  reason: 'cycle' | 'depth' | 'group' | 'access' | 'accept';
+  /** Name of the registered rule that refused, null for selector or group denials */
+  rule: string | null;
+}
+
+/**
+ * Event detail for full events
+ */
+export interface FullEventDetail {
+  /** The item trying to enter */
+  item: HTMLElement;
+  /** The container that is full */
+  parent: HTMLElement;
+  /** The container's max */
+  max: number;
+  /** The container's overflow behavior, 'replace' for a slot */
+  overflow: 'deny' | 'push' | 'swap' | 'replace';
+  /** Item pushed, swapped or replaced to make room, null if the item was refused */
+  displaced: HTMLElement | null;
+}
+
+/**
+ * Result of DataDrag.checkCapacity
+ */
+export interface CapacityPlan {
+  /** Whether the move may go ahead */
+  allowed: boolean;
+  /** Whether the target is at its max */
+  full?: boolean;
+  /** The target's max */
+  max?: number;
+  /** The target's overflow behavior */
+  overflow?: 'deny' | 'push' | 'swap' | 'replace';
+  /** The target container */
+  target?: HTMLElement;
+  /** Item that would be pushed, swapped or replaced */
+  victim?: HTMLElement;
+  /** Container the victim would move to */
+  destination?: HTMLElement | null;
+  /** Index the victim returns to in its destination, for a slot's 'origin' fate */
+  destinationIndex?: number;
+  /** Whether the victim is removed from the page instead */
+  discard?: boolean;
 }
 
 /**
@@ -103,12 +518,13 @@ export class Access {
   order: ['allow', 'deny'] | ['deny', 'allow'];
   allow: string[];
   deny: string[];
+  rules: string[];
 
   /**
    * Create an access control instance
    * @param config - Access configuration object
    */
-  constructor(config?: AccessConfig);
+  constructor(config?: Partial<AccessConfig>);
 
   /**
    * Determine if an item can be accepted from a source parent
@@ -118,6 +534,20 @@ export class Access {
    */
   canAccept(item: HTMLElement, sourceParent: HTMLElement | null): boolean;
 
+  /**
+   * Determine if an item itself can be accepted, wherever it comes from
+   * @param item - The item being dragged
+   * @returns True if the item can be accepted
+   */
+  canAcceptItem(item: HTMLElement): boolean;
+
+  /**
+   * Apply the allow/deny rules to a single element
+   * @param element - Source container or dragged item
+   * @returns True if the rules let the element through
+   */
+  permits(element: HTMLElement): boolean;
+
   /**
    * Check if an element matches any pattern in a list
    * @param element - Element to test
@@ -125,6 +555,165 @@ export class Access {
    * @returns True if element matches any pattern
    */
   matches(element: HTMLElement, patterns: string[]): boolean;
+
+  /**
+   * Find the first named rule that refuses a drop
+   * @param context - What the rule is asked about
+   * @param cache - Results for this target, keyed by rule and index
+   * @returns Name of the rejecting rule, or null if all pass
+   */
+  failingRule(context: RuleContext, cache?: Map<string, boolean>): string | null;
+
+  /**
+   * Run one registered rule, treating unknown names and errors as a refusal
+   * @param name - Rule name
+   * @param context - What the rule is asked about
+   */
+  static runRule(name: string, context: RuleContext): boolean;
+}
+
+/**
+ * Drag Groups - named sets of containers that exchange items
+ */
+export class Group {
+  name: string | null;
+  pull: boolean | 'clone';
+  put: boolean | Array<string | null>;
+
+  /**
+   * Create a group from a container's "group" setting
+   * @param config - Group name, or name with pull/put rules
+   */
+  constructor(config?: string | GroupConfig | null);
+
+  /**
+   * Determine if items may be dragged out of a container in this group
+   * @returns True unless pull is false
+   */
+  canPull(): boolean;
+
+  /**
+   * Determine if a container in this group takes items from another group
+   * @param name - Group of the dragged item
+   * @returns True if the group may be put here
+   */
+  canPut(name: string | null): boolean;
+
+  /**
+   * Read the group of a container
+   * @param container - Element with data-drag-parent
+   */
+  static of(container: HTMLElement): Group;
+
+  /**
+   * Work out which group a dragged item belongs to
+   * @param item - The dragged item
+   * @param container - Container it was picked up from
+   */
+  static nameOf(item: HTMLElement, container: HTMLElement): string | null;
+}
+
+/**
+ * DragSelection - the items that are dragged together
+ */
+export class DragSelection {
+  /** Selected items */
+  selected: Set<HTMLElement>;
+  /** Where the next Shift range starts */
+  anchor: HTMLElement | null;
+  /** Number of selected items still on the page */
+  readonly size: number;
+
+  /**
+   * Check whether an item is selected
+   * @param item - Draggable item
+   */
+  has(item: HTMLElement): boolean;
+
+  /**
+   * Select an item; it becomes the anchor for Shift ranges
+   * @param item - Draggable item
+   */
+  add(item: HTMLElement): void;
+
+  /**
+   * Deselect an item
+   * @param item - Draggable item
+   */
+  delete(item: HTMLElement): void;
+
+  /**
+   * Select an item if it isn't, deselect it if it is
+   * @param item - Draggable item
+   * @returns True if the item is now selected
+   */
+  toggle(item: HTMLElement): boolean;
+
+  /**
+   * Select the items from the anchor to an item within its container, replacing the selection
+   * @param item - Draggable item that ends the range
+   */
+  selectRange(item: HTMLElement): void;
+
+  /**
+   * Deselect everything
+   */
+  clear(): void;
+
+  /**
+   * List the selected items in document order
+   */
+  items(): HTMLElement[];
+}
+
+/**
+ * Screen Reader Announcer - live region and instructions for one root
+ */
+export class Announcer {
+  /** Id of the instructions element referenced by aria-describedby */
+  static instructionsId: string;
+  root: Document | ShadowRoot;
+  region: HTMLElement | null;
+  instructions: HTMLElement | null;
+
+  /**
+   * Create an announcer for a root
+   * @param root - Root that will hold the live region
+   */
+  constructor(root: Document | ShadowRoot);
+
+  /**
+   * Add the live region and instructions to the root, or refresh the instructions text from DataDrag.messages
+   */
+  attach(): void;
+
+  /**
+   * Speak a message through the live region
+   * @param text - Message to announce
+   */
+  announce(text: string): void;
+
+  /**
+   * Fill message placeholders
+   * @param template - Message with {placeholders}
+   * @param values - Placeholder values
+   * @returns Finished message
+   */
+  static format(template: string, values: Record<string, string | number>): string;
+
+  /**
+   * Find a readable label for an element
+   * @param element - Item or container
+   * @param fallback - Label when nothing else is available
+   * @param useText - Fall back to the element's text
+   * @returns Label text
+   */
+  static labelFor(element: HTMLElement, fallback: string, useText?: boolean): string;
+
+  /**
+   * Remove the live region and instructions from the root
+   */
+  destroy(): void;
 }
 
 /**
@@ -135,6 +724,32 @@ export class DataDrag {
   static instances: Set<DataDrag>;
   /** Shared drag state across all instances */
   static globalDragState: any | null;
+  /** Screen reader messages, shared by every root */
+  static messages: DataDragMessages;
+  /** Items whose drop is waiting for async validation */
+  static pendingItems: WeakSet<HTMLElement>;
+  /** Minimum time between datadrag:over events in milliseconds */
+  static overInterval: number;
+  /** Pending animation frame per element, so a new animation can replace it */
+  static animationFrames: WeakMap<HTMLElement, number>;
+  /** Settle animations still running, by the element they land on; calling one ends it at once */
+  static settling: WeakMap<HTMLElement, () => void>;
+  /** Where items dropped into slots came from, null for items copied in */
+  static slotOrigins: WeakMap<HTMLElement, { parent: HTMLElement; index: number } | null>;
+  /** Named predicates that access and accept configs can list under "rules" */
+  static rules: Map<string, DataDragRule>;
+  /** Named drag preview renderers for the "mirror" option */
+  static mirrors: Map<string, MirrorRenderer>;
+  /** Item options a container can set for the items it holds */
+  static inheritableOptions: Array<keyof DataDragOptions>;
+  /** Items selected to drag together, shared by every root */
+  static selection: DragSelection;
+  /** Auto-scroll speed curves, mapping 0..1 (edge zone start to edge) to 0..1 of scrollSpeed */
+  static scrollCurves: Record<string, (t: number) => number>;
+  /** Settle animation easings, mapping elapsed time 0..1 to progress 0..1 */
+  static settleEasings: Record<string, (t: number) => number>;
+  /** Live region announcer for this instance's root */
+  announcer: Announcer;
 
   /**
    * Create a new DataDrag instance for a root element
@@ -145,9 +760,67 @@ export class DataDrag {
   /**
    * Parse data-drag attribute into configuration object
    * @param element - Element with data-drag attribute
+   * @param inherited - Options from the container, applied beneath the item's own
    * @returns Configuration object with defaults applied
    */
-  static parseOptions(element: HTMLElement): DataDragOptions;
+  static parseOptions(element: HTMLElement, inherited?: Partial<DataDragOptions>): DataDragOptions;
+
+  /**
+   * Pick the item options a container sets for everything it holds
+   * @param parent - Container element
+   * @returns Options to apply beneath the item's own
+   */
+  static inheritedOptions(parent: HTMLElement | null): Partial<DataDragOptions>;
+
+  /**
+   * Insert the mirror host as a manual popover in the top layer,
+   * or inside the open dialog around the item where popovers are unsupported
+   * @param host - Mirror host
+   * @param element - Dragged item
+   */
+  static showInTopLayer(host: HTMLElement, element: HTMLElement): void;
+
+  /**
+   * Remove a mirror along with the host carrying it
+   * @param mirror - Mirror element
+   */
+  static removeMirror(mirror: HTMLElement | null): void;
+
+  /**
+   * Give a shadow root the styles of another: shared adoptedStyleSheets, cloned <style> and <link> elements
+   * @param fromRoot - Root whose styles are copied
+   * @param toRoot - Root receiving them
+   */
+  static copyStyles(fromRoot: ShadowRoot, toRoot: ShadowRoot): void;
+
+  /**
+   * Recreate the open shadow roots, at any depth, that cloneNode() leaves behind
+   * @param source - Original element or shadow root
+   * @param clone - Its deep clone
+   */
+  static copyShadowRoots(source: Element | ShadowRoot, clone: Element | ShadowRoot): void;
+
+  /**
+   * Register a named drag preview renderer for the "mirror" option
+   * @param name - Name used in data-drag or data-drag-parent config
+   * @param fn - Renderer returning an HTMLElement
+   */
+  static registerMirror(name: string, fn: MirrorRenderer): void;
+
+  /**
+   * Run a registered mirror renderer; errors and non-elements warn and give null, so the item is cloned
+   * @param renderer - Registered renderer
+   * @param name - Name it was registered under
+   * @param context - What the renderer is given
+   */
+  static renderMirror(renderer: MirrorRenderer, name: string, context: MirrorContext): HTMLElement | null;
+
+  /**
+   * Register a named predicate for "rules" in access and accept configs
+   * @param name - Name used in data-drag-parent config
+   * @param fn - Predicate returning true to allow the drop
+   */
+  static registerRule(name: string, fn: DataDragRule): void;
 
   /**
    * Parse data-drag-parent attribute into configuration object
@@ -161,17 +834,26 @@ export class DataDrag {
    * @param target - Element to dispatch event from
    * @param eventName - Name of event (without 'datadrag:' prefix)
    * @param detail - Event detail data
+   * @returns False if a listener called preventDefault()
    */
-  static dispatchEvent(target: HTMLElement, eventName: string, detail: any): void;
+  static dispatchEvent(target: HTMLElement | null, eventName: string, detail: any): boolean;
 
   /**
    * Find an element in the event's composed path that matches a selector
-   * @param event - Mouse event with composed path
+   * @param event - Pointer event with composed path
    * @param selector - CSS selector to match
    * @returns Matching element or null
    */
   static findInPath(event: Event, selector: string): HTMLElement | null;
 
+  /**
+   * Find the elements a touch drag starts from, which get `touch-action: none`
+   * @param item - Draggable item
+   * @param options - The item's options
+   * @returns The item's handles, or the item itself without a handle
+   */
+  static touchSurfaces(item: HTMLElement, options: DataDragOptions): HTMLElement[];
+
   /**
    * Walk up the DOM tree to find a parent matching selector
    * @param element - Starting element
@@ -188,6 +870,307 @@ export class DataDrag {
    */
   static findDropParent(x: number, y: number): HTMLElement | null;
 
+  /**
+   * Find the element matching a selector at screen coordinates across all shadow roots
+   * @param x - Screen X coordinate
+   * @param y - Screen Y coordinate
+   * @param selector - CSS selector to match, from the element under the point upwards
+   * @returns Matching element or null
+   */
+  static findAtPoint(x: number, y: number, selector: string): HTMLElement | null;
+
+  /**
+   * Collect every drop container across all registered roots
+   * @returns All [data-drag-parent] elements
+   */
+  static findAllParents(): HTMLElement[];
+
+  /**
+   * Get the draggable children of a container
+   * @param container - Parent container
+   * @returns Draggable children in DOM order
+   */
+  static draggableChildren(container: HTMLElement): HTMLElement[];
+
+  /**
+   * Find an element's position in its container
+   * @param element - Element to locate
+   * @returns Indexes among all children and among [data-drag] children
+   */
+  static indexesOf(element: HTMLElement): { index: number; draggableIndex: number };
+
+  /**
+   * List the containers a container is nested in, outermost first, ending with itself
+   * @param container - Container to start from
+   * @returns [data-drag-parent] elements from the outermost down
+   */
+  static containerPath(container: HTMLElement): HTMLElement[];
+
+  /**
+   * Build the old/new path fields of an event detail
+   * @param from - Container the item left
+   * @param to - Container the item is in now
+   */
+  static pathDetail(from: HTMLElement, to: HTMLElement): PathDetail;
+
+  /**
+   * Read a tree option from the nearest container in the path that sets it
+   * @param container - Container to start from
+   * @param name - Option name, such as maxDepth or indent
+   * @returns The value and how many levels below the setting container the container sits, or null
+   */
+  static treeSetting(container: HTMLElement, name: keyof ParentConfig): { value: any; depth: number } | null;
+
+  /**
+   * Find the list an item holds its own children in
+   * @param item - Tree item
+   * @returns Nested container, or null for a leaf
+   */
+  static childList(item: HTMLElement): HTMLElement | null;
+
+  /**
+   * Count how many levels of items hang below an item (0 for a leaf)
+   * @param item - Tree item
+   */
+  static branchHeight(item: HTMLElement): number;
+
+  /**
+   * Check whether an item and its descendants would go deeper than the tree's maxDepth
+   * @param container - Container the item would go into
+   * @param item - Dragged item
+   */
+  static exceedsMaxDepth(container: HTMLElement, item: HTMLElement): boolean;
+
+  /**
+   * Check whether a tree item is collapsed (aria-expanded="false" or a closed <details>)
+   * @param item - Tree item
+   */
+  static isCollapsed(item: HTMLElement): boolean;
+
+  /**
+   * Check whether a container is folded away inside a collapsed tree item
+   * @param container - Container to check
+   */
+  static isFolded(container: HTMLElement): boolean;
+
+  /**
+   * Find what a swap-mode drag would trade places with: the hovered item or an empty container
+   * @param state - The active drag state
+   * @param hoveredItem - Item under the pointer
+   * @param dropParent - Container under the pointer
+   */
+  static findSwapTarget(state: any, hoveredItem: HTMLElement | null, dropParent: HTMLElement | null): HTMLElement | null;
+
+  /**
+   * Expand or collapse a tree item
+   * @param item - Tree item
+   * @param expanded - True to show its children
+   */
+  static setExpanded(item: HTMLElement, expanded: boolean): void;
+
+  /**
+   * Move an insertion point levels deeper (positive) or shallower (negative) in a tree
+   * @param container - Container of the insertion point
+   * @param reference - Element the item would go before
+   * @param element - Dragged element, ignored as a neighbour
+   * @param shift - Levels to indent or outdent
+   */
+  static shiftLevel(
+    container: HTMLElement,
+    reference: HTMLElement | null,
+    element: HTMLElement,
+    shift: number
+  ): { parent: HTMLElement; reference: HTMLElement | null };
+
+  /**
+   * Check whether the user asked the system to minimize motion
+   * @returns True when prefers-reduced-motion is set to reduce
+   */
+  static prefersReducedMotion(): boolean;
+
+  /**
+   * Work out which layout a container uses for an item's options, resolving 'auto' from CSS
+   * @param container - Parent container
+   * @param options - Item options with a direction
+   */
+  static resolveDirection(container: HTMLElement, options: DataDragOptions): 'vertical' | 'horizontal' | 'grid';
+
+  /**
+   * Check whether a container lays out right to left
+   * @param container - Parent container
+   */
+  static isRightToLeft(container: HTMLElement): boolean;
+
+  /**
+   * Group elements into visual rows, in DOM order
+   * @param elements - Elements to group
+   */
+  static gridRows(elements: HTMLElement[]): Array<{
+    top: number;
+    bottom: number;
+    cells: Array<{ element: HTMLElement; rect: DOMRect }>;
+  }>;
+
+  /**
+   * Work out how far a grid item moves to reach the same column in the row above or below
+   * @param element - Item (or swap target) the move starts from
+   * @param direction - -1 for the row above, 1 for the row below
+   * @returns Index step to that cell (the last cell of a shorter row), or 0 if there is no such row
+   */
+  static gridRowStep(element: HTMLElement, direction: -1 | 1): number;
+
+  /**
+   * Collect the scrollable elements around a container, innermost first, across shadow roots
+   * @param element - Container to start from (included if it scrolls)
+   */
+  static scrollableAncestors(element: HTMLElement): HTMLElement[];
+
+  /**
+   * Work out the scroll step along one axis from how close the pointer is to an edge
+   * @param pointer - Pointer coordinate
+   * @param start - Near edge of the scrolling area
+   * @param end - Far edge of the scrolling area
+   * @param options - Item options with scrollEdge, scrollSpeed and scrollCurve
+   * @returns Pixels to scroll this frame (negative = backwards)
+   */
+  static edgeVelocity(
+    pointer: number,
+    start: number,
+    end: number,
+    options: Required<Pick<DataDragOptions, 'scrollEdge' | 'scrollSpeed' | 'scrollCurve'>>
+  ): number;
+
+  /**
+   * Get the draggable index an element would take if inserted before a reference
+   * @param container - Target container
+   * @param reference - Element it would be inserted before (null = end)
+   * @param element - Element being placed, not counted itself
+   */
+  static proposedIndex(container: HTMLElement, reference: HTMLElement | null, element: HTMLElement): number;
+
+  /**
+   * Build the old/new index fields shared by every event detail
+   * @param before - Position before the change
+   * @param after - Position after the change
+   */
+  static indexDetail(
+    before: { index: number; draggableIndex: number },
+    after: { index: number; draggableIndex: number }
+  ): IndexDetail;
+
+  /**
+   * Collect the promises drop listeners hand to detail.waitUntil()
+   * @returns The promises, the waitUntil function and close() to call once dispatch returns
+   */
+  static collectValidations(): {
+    promises: Array<Promise<any>>;
+    waitUntil(promise: Promise<any>): void;
+    close(): void;
+  };
+
+  /**
+   * Dispatch add/remove/update for a completed drop
+   * @param detail - Drop detail with item, from, to, isCopy and indexes
+   */
+  static dispatchSortEvents(detail: SortEventDetail): void;
+
+  /**
+   * Find a container by selector, searching the context's root first, then every registered root
+   * @param context - Element whose root is searched first
+   * @param selector - CSS selector of the container
+   */
+  static resolveContainer(context: HTMLElement, selector: string): HTMLElement | null;
+
+  /**
+   * Check the min/max item counts for moving an element into a container
+   * @param target - Container the element would enter
+   * @param reference - Element it would be inserted before
+   * @param source - Container it leaves (null for a fresh copy)
+   * @param sourceReference - Its next sibling in the source
+   */
+  static checkCapacity(
+    target: HTMLElement,
+    reference: HTMLElement | null,
+    source: HTMLElement | null,
+    sourceReference: Node | null
+  ): CapacityPlan;
+
+  /**
+   * Check whether an item making room in a full container may go where the plan sends it
+   * @param destination - Container the item would move to
+   * @param reference - Element it would be inserted before
+   * @param victim - Item making room
+   * @param from - The full container it leaves
+   * @param source - Container the incoming element leaves, which frees a place there
+   */
+  static takesOverflow(
+    destination: HTMLElement,
+    reference: Node | null,
+    victim: HTMLElement,
+    from: HTMLElement,
+    source: HTMLElement | null
+  ): boolean;
+
+  /**
+   * Work out why a container refuses an item: cycles, maxDepth, groups, access and accept rules
+   * @param dropParent - Candidate container
+   * @param state - The drag state, or the item, its container, any copy and a rule cache
+   * @param index - Proposed draggable index, if known
+   */
+  static findDenial(
+    dropParent: HTMLElement,
+    state: { item: HTMLElement; parent: HTMLElement; copy: HTMLElement | null; ruleResults: Map<HTMLElement, Map<string, boolean>> },
+    index?: number | null
+  ): Pick<DeniedEventDetail, 'reason' | 'rule'> | null;
+
+  /**
+   * Work out where a slot's occupant goes when another item replaces it
+   * @param occupant - Item in the slot
+   * @param slot - The slot container
+   * @param fate - The slot's "replaced" option
+   * @param source - Container the newcomer leaves (null for a fresh copy)
+   * @param sourceReference - The newcomer's next sibling in its source
+   */
+  static replacedFate(
+    occupant: HTMLElement,
+    slot: HTMLElement,
+    fate: 'origin' | 'discard' | string | undefined,
+    source: HTMLElement | null,
+    sourceReference: Node | null
+  ): Pick<CapacityPlan, 'destination' | 'destinationIndex' | 'discard'> & { destinationReference?: Node | null };
+
+  /**
+   * Note where an item came from when it lands in a slot; landing anywhere else forgets it
+   * @param item - Item that was dropped or moved
+   * @param container - Container it landed in
+   * @param origin - Where it came from, null for a copy
+   */
+  static rememberSlotOrigin(item: HTMLElement, container: HTMLElement, origin: { parent: HTMLElement; index: number } | null): void;
+
+  /**
+   * Move an item from code, with the same min/max, overflow and tree rules as a drag
+   * @param item - Item to move
+   * @param target - Container to move it into
+   * @param reference - Element to insert before, or null for the end
+   * @returns True if the item moved
+   */
+  static moveItem(item: HTMLElement, target: HTMLElement, reference?: HTMLElement | null): boolean;
+
+  /**
+   * Announce a drag step to screen readers
+   * @param container - Container the message is about
+   * @param type - Message key
+   * @param item - Item the message is about
+   * @param values - Extra placeholder values, such as count
+   */
+  static announce(container: HTMLElement, type: keyof DataDragMessages, item: HTMLElement, values?: Record<string, string | number>): void;
+
+  /**
+   * Copy an item for a copy drag, without the original's selection
+   * @param item - Item to copy
+   */
+  static copyOf(item: HTMLElement): HTMLElement;
+
   /**
    * Apply adoption configuration to a dropped item
    * @param item - The dropped item element
@@ -195,6 +1178,27 @@ export class DataDrag {
    */
   static applyAdoption(item: HTMLElement, parent: HTMLElement): void;
 
+  /**
+   * Record the current values of some attributes
+   * @param element - Element to read
+   * @param names - Attribute names
+   * @returns [name, value] pairs, value is null for missing attributes
+   */
+  static snapshotAttributes(element: HTMLElement, names: string[]): Array<[string, string | null]>;
+
+  /**
+   * Put attributes back to values recorded by snapshotAttributes
+   * @param element - Element to restore
+   * @param snapshot - [name, value] pairs
+   */
+  static restoreAttributes(element: HTMLElement, snapshot: Array<[string, string | null]>): void;
+
+  /**
+   * Cancel the drag in progress, wherever it started
+   * @returns True if there was a drag to cancel
+   */
+  cancel(): boolean;
+
   /**
    * Destroy this DataDrag instance
    */
@@ -209,14 +1213,30 @@ declare global {
     'datadrag:start': CustomEvent<DragEventDetail>;
     'datadrag:move': CustomEvent<MoveEventDetail>;
     'datadrag:drop': CustomEvent<DropEventDetail>;
-    'datadrag:cancel': CustomEvent<DragEventDetail>;
+    'datadrag:cancel': CustomEvent<CancelEventDetail>;
+    'datadrag:enter': CustomEvent<HoverEventDetail>;
+    'datadrag:leave': CustomEvent<HoverEventDetail>;
+    'datadrag:over': CustomEvent<HoverEventDetail>;
+    'datadrag:add': CustomEvent<SortEventDetail>;
+    'datadrag:remove': CustomEvent<SortEventDetail>;
+    'datadrag:update': CustomEvent<SortEventDetail>;
+    'datadrag:rollback': CustomEvent<RollbackEventDetail>;
+    'datadrag:full': CustomEvent<FullEventDetail>;
+    'datadrag:denied': CustomEvent<DeniedEventDetail>;
     'datadrag:cloned': CustomEvent<ClonedEventDetail>;
     'datadrag:adopted': CustomEvent<AdoptionEventDetail>;
+    'datadrag:select': CustomEvent<SelectEventDetail>;
+    'datadrag:expand': CustomEvent<ExpandEventDetail>;
+    'datadrag:merge': CustomEvent<MergeEventDetail>;
+    'datadrag:swap': CustomEvent<SwapEventDetail>;
   }
 
   interface Window {
     DataDrag: typeof DataDrag;
     DataDragAccess: typeof Access;
+    DataDragAnnouncer: typeof Announcer;
+    DataDragGroup: typeof Group;
+    DataDragSelection: typeof DragSelection;
   }
 }
 
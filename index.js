@@ -4,16 +4,63 @@
  * @type {Object}
  */
 const defaults = {
-  direction: 'vertical',  // 'vertical' or 'horizontal' layout
+  direction: 'vertical',  // 'vertical', 'horizontal', 'grid' or 'auto' (read from the container's CSS)
   copy: false,           // Create copies when dragging to other containers
   sort: true,            // Allow sorting within the container
   handle: null,          // CSS selector for drag handle (null = entire element)
-  animation: 150         // Animation duration in milliseconds
+  animation: 150,        // Animation duration in milliseconds
+  touchDelay: 200,       // Long-press delay for touch in milliseconds (0 = drag immediately)
+  keyboard: true,        // Make the item focusable and draggable with the keyboard
+  group: null,           // Group name, overrides the container's group for this item
+  scroll: true,          // Auto-scroll the window and scrollable containers near their edges
+  scrollEdge: 40,        // Distance from an edge, in pixels, where auto-scroll starts
+  scrollSpeed: 20,       // Fastest auto-scroll step in pixels per frame
+  scrollCurve: 'ease',   // How speed grows towards the edge: a name in DataDrag.scrollCurves
+  placeholder: false,    // Move a stand-in instead of the item: true, or a <template> selector
+  placeholderClass: null, // Extra class for the placeholder
+  mirror: null,          // Drag preview: null (clone), a <template> selector, a registered renderer or 'native'
+  mirrorOffset: null,    // [x, y] where the pointer holds the preview (null = where the item was grabbed)
+  mirrorScale: 1,        // Preview scale
+  mirrorTilt: 0,         // Preview rotation in degrees
+  mirrorBadge: false,    // Show how many items are dragged when there is more than one
+  settle: 200,           // How long the mirror takes to fly into its slot on drop or cancel (0 = vanish)
+  settleEasing: 'ease-out', // Settle speed curve: a name in DataDrag.settleEasings
+  select: false,         // Ctrl/Cmd-click, Shift-click and keyboard selection; selected items drag together
+  mode: 'sort',          // 'sort' shifts the list to make room, 'swap' trades places with the item dropped on
+  merge: false,          // Let other items be dropped onto this one (pointer drags)
+  mergeZone: 0.5         // Share of the item's size, around its centre, that targets the item instead of sorting
+};
+
+/**
+ * Default screen reader messages
+ * Placeholders: {item}, {position}, {total}, {container}, {count} (selected or dragged items)
+ * and {target} (the item dropped onto)
+ * Containers can override any of them with a "messages" object in data-drag-parent
+ * @type {Object}
+ */
+const messages = {
+  pickup: 'Picked up {item}. Item {position} of {total} in {container}.',
+  move: '{item} moved. Item {position} of {total} in {container}.',
+  drop: 'Dropped {item}. Item {position} of {total} in {container}.',
+  denied: '{item} cannot be dropped in {container}.',
+  cancel: 'Cancelled. {item} returned to item {position} of {total} in {container}.',
+  rollback: '{item} could not be moved. Returned to item {position} of {total} in {container}.',
+  pickupMany: 'Picked up {count} items. Item {position} of {total} in {container}.',
+  dropMany: 'Dropped {count} items. Item {position} of {total} in {container}.',
+  select: '{item} selected. {count} selected.',
+  deselect: '{item} not selected. {count} selected.',
+  clearSelection: 'Selection cleared.',
+  merge: 'Release to drop {item} onto {target}.',
+  swap: 'Drop to swap {item} with {target}.',
+  swapped: 'Swapped {item} with {target}.',
+  merged: 'Dropped {item} onto {target}.',
+  instructions: 'Press Space or Enter to pick up. Use the arrow keys to move, Space or Enter to drop, Escape to cancel.'
 };
 
 /**
  * Access Control System - Apache-style allow/deny rules
- * Controls which containers can accept items from which sources
+ * Controls which containers can accept items from which sources,
+ * and (through a container's "accept" rules) which items
  *
  * @class Access
  * @example
@@ -30,11 +77,56 @@ class Access {
    * @param {Array<string>} config.order - Evaluation order: ['allow', 'deny'] or ['deny', 'allow']
    * @param {Array<string>} config.allow - CSS selectors to allow (use '*' for all)
    * @param {Array<string>} config.deny - CSS selectors to deny
+   * @param {Array<string>} config.rules - Names of predicates registered with DataDrag.registerRule
    */
   constructor(config = {}) {
     this.order = config.order || ['allow', 'deny'];
     this.allow = config.allow || ['*'];
     this.deny = config.deny || [];
+    this.rules = config.rules || [];
+  }
+
+  /**
+   * Find the first named rule that refuses a drop
+   * Results are remembered in the cache so a predicate runs once per drag and position
+   *
+   * @param {Object} context - What the rule is asked about: { item, source, target, index }
+   * @param {Map<string, boolean>} [cache] - Results for this target, keyed by rule and index
+   * @returns {string|null} Name of the rejecting rule, or null if all pass
+   */
+  failingRule(context, cache = new Map()) {
+    const rejecting = this.rules.find(name => {
+      const key = `${name}:${context.index}`;
+      if (!cache.has(key)) {
+        cache.set(key, Access.runRule(name, context));
+      }
+      return !cache.get(key);
+    });
+
+    return rejecting ?? null;
+  }
+
+  /**
+   * Run one registered rule, treating unknown names and errors as a refusal
+   *
+   * @static
+   * @param {string} name - Rule name
+   * @param {Object} context - { item, source, target, index }
+   * @returns {boolean} True if the rule allows the drop
+   */
+  static runRule(name, context) {
+    const rule = DataDrag.rules.get(name);
+    if (!rule) {
+      console.warn('Unknown data-drag rule:', name);
+      return false;
+    }
+
+    try {
+      return !!rule(context);
+    } catch (error) {
+      console.warn('data-drag rule failed:', name, error);
+      return false;
+    }
   }
 
   /**
@@ -49,21 +141,42 @@ class Access {
     // No source means item is being created, always allow
     if (!sourceParent) return true;
 
-    // Check if source matches our allow/deny patterns
-    const sourceMatchesAllow = this.matches(sourceParent, this.allow);
-    const sourceMatchesDeny = this.matches(sourceParent, this.deny);
+    return this.permits(sourceParent);
+  }
+
+  /**
+   * Determine if an item itself can be accepted, wherever it comes from
+   * Used for "accept" rules that test the dragged item rather than its source
+   *
+   * @param {HTMLElement} item - The item being dragged
+   * @returns {boolean} True if the item can be accepted
+   */
+  canAcceptItem(item) {
+    return this.permits(item);
+  }
+
+  /**
+   * Apply the allow/deny rules to a single element
+   *
+   * @param {HTMLElement} element - Source container or dragged item
+   * @returns {boolean} True if the rules let the element through
+   */
+  permits(element) {
+    // Check if element matches our allow/deny patterns
+    const matchesAllow = this.matches(element, this.allow);
+    const matchesDeny = this.matches(element, this.deny);
 
     // Order matters: process deny or allow first based on configuration
     const isDenyFirst = (this.order[0] === 'deny');
 
     if (isDenyFirst) {
       // Deny rules evaluated first (most restrictive)
-      if (sourceMatchesDeny) return false;
-      if (sourceMatchesAllow) return true;
+      if (matchesDeny) return false;
+      if (matchesAllow) return true;
       return false;
     } else {
       // Allow rules evaluated first (most permissive)
-      const isAllowedAndNotDenied = (sourceMatchesAllow && !sourceMatchesDeny);
+      const isAllowedAndNotDenied = (matchesAllow && !matchesDeny);
       return isAllowedAndNotDenied;
     }
   }
@@ -92,6 +205,346 @@ class Access {
   }
 }
 
+/**
+ * Drag Groups - named sets of containers that exchange items
+ * Items only travel between containers whose groups agree: the source must
+ * let them go ("pull") and the target must take their group ("put").
+ * Containers without a group form one unnamed group of their own
+ *
+ * @class Group
+ * @example
+ * const group = new Group({ name: 'tasks', pull: 'clone', put: ['tasks', 'ideas'] });
+ * group.canPut('ideas'); // true
+ */
+class Group {
+  /**
+   * Create a group from a container's "group" setting
+   * @param {string|Object|null} config - Group name, or { name, pull, put }
+   * @param {string} config.name - Group name
+   * @param {boolean|string} config.pull - true, false or 'clone' (items leave as copies)
+   * @param {boolean|string|Array<string>} config.put - true (any group), false (none), a group name or names
+   */
+  constructor(config = null) {
+    const isNameOnly = (typeof config === 'string' || config === null);
+    const settings = isNameOnly ? { name: config } : config;
+
+    this.name = settings.name ?? null;
+    this.pull = settings.pull ?? true;
+
+    // JSON configs often give a single name; keep it a list so canPut compares whole names
+    const put = settings.put ?? [this.name];
+    const isNameList = (typeof put !== 'boolean');
+    this.put = isNameList ? [].concat(put) : put;
+  }
+
+  /**
+   * Determine if items may be dragged out of a container in this group
+   *
+   * @returns {boolean} True unless pull is false
+   */
+  canPull() {
+    return (this.pull !== false);
+  }
+
+  /**
+   * Determine if a container in this group takes items from another group
+   *
+   * @param {string|null} name - Group of the dragged item
+   * @returns {boolean} True if the group may be put here
+   */
+  canPut(name) {
+    if (this.put === true) return true;
+    if (this.put === false) return false;
+
+    return this.put.includes(name);
+  }
+
+  /**
+   * Read the group of a container
+   *
+   * @static
+   * @param {HTMLElement} container - Element with data-drag-parent
+   * @returns {Group} The container's group (unnamed if none is set)
+   */
+  static of(container) {
+    const parentConfig = DataDrag.parseParentOptions(container);
+    return new Group(parentConfig?.group ?? null);
+  }
+
+  /**
+   * Work out which group a dragged item belongs to
+   * The item's own "group" option wins over its container's
+   *
+   * @static
+   * @param {HTMLElement} item - The dragged item
+   * @param {HTMLElement} container - Container it was picked up from
+   * @returns {string|null} Group name
+   */
+  static nameOf(item, container) {
+    const itemGroup = DataDrag.parseOptions(item).group;
+    if (itemGroup) return new Group(itemGroup).name;
+
+    return Group.of(container).name;
+  }
+}
+
+/**
+ * DragSelection - the items that are dragged together
+ * Items join with Ctrl/Cmd-click, Shift-click ranges or the keyboard and carry
+ * the data-drag-selected class while selected. One selection is shared by every root
+ *
+ * @class DragSelection
+ * @example
+ * DataDrag.selection.add(card);
+ * DataDrag.selection.items(); // selected items in document order
+ */
+class DragSelection {
+  /**
+   * Create an empty selection
+   */
+  constructor() {
+    this.selected = new Set();
+    this.anchor = null;
+  }
+
+  /**
+   * Number of selected items still on the page
+   * @type {number}
+   */
+  get size() {
+    return this.items().length;
+  }
+
+  /**
+   * Check whether an item is selected
+   *
+   * @param {HTMLElement} item - Draggable item
+   * @returns {boolean} True if selected
+   */
+  has(item) {
+    return this.selected.has(item);
+  }
+
+  /**
+   * Select an item; it becomes the anchor for Shift ranges
+   *
+   * @param {HTMLElement} item - Draggable item
+   */
+  add(item) {
+    this.selected.add(item);
+    item.classList.add('data-drag-selected');
+    this.anchor = item;
+  }
+
+  /**
+   * Deselect an item
+   *
+   * @param {HTMLElement} item - Draggable item
+   */
+  delete(item) {
+    this.selected.delete(item);
+    item.classList.remove('data-drag-selected');
+    if (this.anchor === item) this.anchor = null;
+  }
+
+  /**
+   * Select an item if it isn't, deselect it if it is
+   *
+   * @param {HTMLElement} item - Draggable item
+   * @returns {boolean} True if the item is now selected
+   */
+  toggle(item) {
+    if (this.has(item)) {
+      this.delete(item);
+    } else {
+      this.add(item);
+    }
+
+    return this.has(item);
+  }
+
+  /**
+   * Select the items from the anchor to an item, replacing the selection
+   * Ranges stay within the item's container; without an anchor there, only the item is selected
+   *
+   * @param {HTMLElement} item - Draggable item that ends the range
+   */
+  selectRange(item) {
+    const siblings = DataDrag.draggableChildren(item.parentElement);
+    const anchor = siblings.includes(this.anchor) ? this.anchor : item;
+    const [start, end] = [siblings.indexOf(anchor), siblings.indexOf(item)].sort((a, b) => a - b);
+
+    this.clear();
+    siblings.slice(start, end + 1).forEach(sibling => this.add(sibling));
+    this.anchor = anchor;
+  }
+
+  /**
+   * Deselect everything
+   */
+  clear() {
+    this.selected.forEach(item => item.classList.remove('data-drag-selected'));
+    this.selected.clear();
+    this.anchor = null;
+  }
+
+  /**
+   * List the selected items in document order
+   * Items that have left the page are forgotten
+   *
+   * @returns {Array<HTMLElement>} Selected items
+   */
+  items() {
+    this.selected.forEach(item => {
+      if (!item.isConnected) this.delete(item);
+    });
+
+    return [...this.selected].sort((a, b) => {
+      const bFollowsA = (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+      return bFollowsA ? -1 : 1;
+    });
+  }
+}
+
+/**
+ * Screen Reader Announcer - live region and instructions for one root
+ * Each document or shadow root gets its own, because aria-describedby
+ * can only point at elements in the same root
+ *
+ * @class Announcer
+ * @example
+ * const announcer = new Announcer(shadowRoot);
+ * announcer.announce('Picked up Task 1. Item 1 of 3 in Backlog.');
+ */
+class Announcer {
+  /**
+   * Id of the instructions element referenced by aria-describedby
+   * @static
+   * @type {string}
+   */
+  static instructionsId = 'data-drag-instructions';
+
+  /**
+   * Create an announcer for a root
+   * @param {Document|ShadowRoot} root - Root that will hold the live region
+   */
+  constructor(root) {
+    this.root = root;
+    this.region = null;
+    this.instructions = null;
+    this.attach();
+  }
+
+  /**
+   * Add the live region and instructions to the root
+   * Safe to call repeatedly; waits until document.body exists. Every instance on
+   * a root shares one instructions element, whose text follows DataDrag.messages
+   */
+  attach() {
+    const container = (this.root === document) ? document.body : this.root;
+    if (!container) return;
+
+    const hiddenStyle = `
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+      border: 0;
+    `;
+
+    // Polite, so position updates during a pointer drag don't cut each other off
+    const needsRegion = !this.region?.isConnected;
+    if (needsRegion) {
+      this.region = document.createElement('div');
+      this.region.setAttribute('role', 'status');
+      this.region.setAttribute('aria-live', 'polite');
+      this.region.setAttribute('aria-atomic', 'true');
+      this.region.style.cssText = hiddenStyle;
+      container.append(this.region);
+    }
+
+    this.instructions = this.root.getElementById(Announcer.instructionsId);
+    if (!this.instructions) {
+      this.instructions = document.createElement('div');
+      this.instructions.id = Announcer.instructionsId;
+      this.instructions.style.cssText = hiddenStyle;
+      container.append(this.instructions);
+    }
+
+    const text = DataDrag.messages.instructions;
+    if (this.instructions.textContent !== text) {
+      this.instructions.textContent = text;
+    }
+  }
+
+  /**
+   * Speak a message through the live region
+   *
+   * @param {string} text - Message to announce
+   */
+  announce(text) {
+    this.attach();
+    if (!this.region) return;
+
+    // Screen readers skip unchanged text, so nudge repeats
+    const isRepeat = (this.region.textContent === text);
+    this.region.textContent = isRepeat ? `${text}\u00A0` : text;
+  }
+
+  /**
+   * Fill message placeholders
+   *
+   * @static
+   * @param {string} template - Message with {placeholders}
+   * @param {Object} values - Placeholder values
+   * @returns {string} Finished message
+   */
+  static format(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+      const hasValue = (name in values);
+      return hasValue ? values[name] : match;
+    });
+  }
+
+  /**
+   * Find a readable label for an element
+   * Uses aria-label, then aria-labelledby, then (optionally) the text content
+   *
+   * @static
+   * @param {HTMLElement} element - Item or container
+   * @param {string} fallback - Label when nothing else is available
+   * @param {boolean} useText - Fall back to the element's text (off for containers)
+   * @returns {string} Label text
+   */
+  static labelFor(element, fallback, useText = true) {
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel) return ariaLabel;
+
+    const labelledBy = element.getAttribute('aria-labelledby');
+    const labelElement = labelledBy && element.getRootNode().getElementById?.(labelledBy);
+    if (labelElement) return labelElement.textContent.trim();
+
+    const text = useText ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    return text || fallback;
+  }
+
+  /**
+   * Remove the live region and instructions from the root
+   */
+  destroy() {
+    this.region?.remove();
+
+    // The instructions stay while another instance on the root still points items at them
+    const isShared = Array.from(DataDrag.instances)
+      .some(instance => instance.announcer !== this && instance.root === this.root);
+    if (!isShared) this.instructions?.remove();
+  }
+}
+
 /**
  * DataDrag - Drag and drop sortable lists with cross-shadow-root support
  *
@@ -127,6 +580,103 @@ class DataDrag {
    */
   static globalDragState = null;
 
+  /**
+   * Screen reader messages, shared by every root
+   * Change them once to localize the whole page
+   * @static
+   * @type {Object}
+   */
+  static messages = messages;
+
+  /**
+   * Items whose drop is waiting for async validation
+   * They cannot be picked up again until it settles
+   * @static
+   * @type {WeakSet<HTMLElement>}
+   */
+  static pendingItems = new WeakSet();
+
+  /**
+   * Minimum time between datadrag:over events in milliseconds
+   * @static
+   * @type {number}
+   */
+  static overInterval = 50;
+
+  /**
+   * Pending animation frame per element, so a new animation can replace it
+   * @static
+   * @type {WeakMap<HTMLElement, number>}
+   */
+  static animationFrames = new WeakMap();
+
+  /**
+   * Settle animations still running, by the element they land on, so a new drag can end them
+   * @static
+   * @type {WeakMap<HTMLElement, Function>}
+   */
+  static settling = new WeakMap();
+
+  /**
+   * Where items dropped into slots came from, so a replaced occupant can go back
+   * null marks an item that was copied in
+   * @static
+   * @type {WeakMap<HTMLElement, Object|null>}
+   */
+  static slotOrigins = new WeakMap();
+
+  /**
+   * Named predicates that access and accept configs can list under "rules"
+   * @static
+   * @type {Map<string, Function>}
+   */
+  static rules = new Map();
+
+  /**
+   * Named drag preview renderers for the "mirror" option
+   * @static
+   * @type {Map<string, Function>}
+   */
+  static mirrors = new Map();
+
+  /**
+   * Item options a container can set for the items it holds
+   * @static
+   * @type {Array<string>}
+   */
+  static inheritableOptions = ['mirror', 'mirrorOffset', 'mirrorScale', 'mirrorTilt', 'mirrorBadge', 'select', 'merge', 'mergeZone', 'mode'];
+
+  /**
+   * Items selected to drag together, shared by every root
+   * @static
+   * @type {DragSelection}
+   */
+  static selection = new DragSelection();
+
+  /**
+   * Auto-scroll speed curves, from 0 (edge zone starts) to 1 (at the edge)
+   * Add your own and name it in the "scrollCurve" option
+   * @static
+   * @type {Object<string, Function>}
+   */
+  static scrollCurves = {
+    linear: t => t,
+    ease: t => t * t,
+    steep: t => t * t * t
+  };
+
+  /**
+   * Settle animation easings, mapping elapsed time 0..1 to progress 0..1
+   * Add your own and name it in the "settleEasing" option
+   * @static
+   * @type {Object<string, Function>}
+   */
+  static settleEasings = {
+    linear: t => t,
+    'ease-out': t => 1 - (1 - t) ** 3,
+    'ease-in-out': t => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2)
+  };
+
   /**
    * Create a new DataDrag instance for a root element
    *
@@ -135,14 +685,47 @@ class DataDrag {
   constructor(root = document) {
     this.root = root;
     this.dragState = null;
+    this.announcer = new Announcer(root);
 
     // Bind methods to preserve 'this' context
-    this.handleMouseDown = this.handleMouseDown.bind(this);
-    this.handleMouseMove = this.handleMouseMove.bind(this);
-    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerCancel = this.handlePointerCancel.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+    this.handleContextMenu = this.handleContextMenu.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFocusOut = this.handleFocusOut.bind(this);
+    this.handleEscapeKey = this.handleEscapeKey.bind(this);
+    this.handleDragStart = this.handleDragStart.bind(this);
+    this.handleDragOver = this.handleDragOver.bind(this);
+    this.handleDrop = this.handleDrop.bind(this);
+    this.handleDragEnd = this.handleDragEnd.bind(this);
 
-    // Register event listener for this root
-    this.root.addEventListener('mousedown', this.handleMouseDown, true);
+    // Register event listeners for this root
+    this.root.addEventListener('pointerdown', this.handlePointerDown, true);
+    this.root.addEventListener('dragstart', this.handleDragStart, true);
+    this.root.addEventListener('keydown', this.handleKeyDown);
+    this.root.addEventListener('focusout', this.handleFocusOut, true);
+
+    // Prepare existing items now and items added later as they appear
+    this.prepareTree(this.root);
+    this.observer = new MutationObserver(records => {
+      records.forEach(record => {
+        const isAttributeChange = (record.type === 'attributes');
+        if (isAttributeChange) {
+          this.prepareElement(record.target);
+        } else {
+          record.addedNodes.forEach(node => this.prepareTree(node));
+        }
+      });
+    });
+    this.observer.observe(this.root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-drag', 'data-drag-parent']
+    });
 
     // Add to global registry for cross-root coordination
     DataDrag.instances.add(this);
@@ -156,23 +739,74 @@ class DataDrag {
    * @param {HTMLElement} element - Element with data-drag attribute
    * @returns {Object} Configuration object with defaults applied
    */
-  static parseOptions(element) {
+  static parseOptions(element, inherited = {}) {
     const attr = element.getAttribute('data-drag');
 
     // Handle empty or "true" as default config
     const hasNoConfig = (!attr || attr === 'true');
-    if (hasNoConfig) return { ...defaults };
+    if (hasNoConfig) return { ...defaults, ...inherited };
 
     try {
       // Convert single quotes to double quotes for JSON parsing
       const parsed = JSON.parse(attr.replace(/'/g, '"'));
-      return { ...defaults, ...parsed };
+      return { ...defaults, ...inherited, ...parsed };
     } catch (error) {
       console.warn('Invalid data-drag options:', attr, error);
-      return { ...defaults };
+      return { ...defaults, ...inherited };
     }
   }
 
+  /**
+   * Pick the item options a container sets for everything it holds
+   * Only the preview and selection options are inherited; an item's own setting always wins
+   *
+   * @static
+   * @param {HTMLElement|null} parent - Container element
+   * @returns {Object} Options to apply beneath the item's own
+   */
+  static inheritedOptions(parent) {
+    const parentConfig = (parent && DataDrag.parseParentOptions(parent)) || {};
+
+    return Object.fromEntries(
+      DataDrag.inheritableOptions
+        .filter(name => name in parentConfig)
+        .map(name => [name, parentConfig[name]])
+    );
+  }
+
+  /**
+   * Register a named drag preview renderer for the "mirror" option
+   * The renderer receives { item, count, options } and returns the preview element
+   *
+   * @static
+   * @param {string} name - Name used in data-drag or data-drag-parent config
+   * @param {Function} fn - Renderer returning an HTMLElement
+   * @example
+   * DataDrag.registerMirror('chip', ({ item, count }) => {
+   *   const chip = document.createElement('div');
+   *   chip.textContent = count > 1 ? `${count} cards` : item.textContent;
+   *   return chip;
+   * });
+   */
+  static registerMirror(name, fn) {
+    DataDrag.mirrors.set(name, fn);
+  }
+
+  /**
+   * Register a named predicate for "rules" in access and accept configs
+   * The predicate receives { item, source, target, index } and returns true to allow
+   * the drop; index is the proposed draggable index, or null when not yet known
+   *
+   * @static
+   * @param {string} name - Name used in data-drag-parent config
+   * @param {Function} fn - Predicate returning a boolean
+   * @example
+   * DataDrag.registerRule('smallEstimate', ({ item }) => Number(item.dataset.estimate) < 5);
+   */
+  static registerRule(name, fn) {
+    DataDrag.rules.set(name, fn);
+  }
+
   /**
    * Parse data-drag-parent attribute into configuration object
    * Returns null if attribute doesn't exist (JSON-only, no "true" shorthand)
@@ -204,9 +838,10 @@ class DataDrag {
    * @param {HTMLElement} target - Element to dispatch event from
    * @param {string} eventName - Name of event (without 'datadrag:' prefix)
    * @param {Object} detail - Event detail data
+   * @returns {boolean} False if a listener called preventDefault()
    */
   static dispatchEvent(target, eventName, detail) {
-    if (!target) return;
+    if (!target) return true;
 
     const event = new CustomEvent(`datadrag:${eventName}`, {
       detail,
@@ -215,7 +850,7 @@ class DataDrag {
       cancelable: true    // Event can be prevented by listeners
     });
 
-    target.dispatchEvent(event);
+    return target.dispatchEvent(event);
   }
 
   /**
@@ -223,7 +858,7 @@ class DataDrag {
    * Works across shadow DOM boundaries by using composedPath()
    *
    * @static
-   * @param {Event} event - Mouse event with composed path
+   * @param {Event} event - Pointer event with composed path
    * @param {string} selector - CSS selector to match
    * @returns {HTMLElement|null} Matching element or null
    */
@@ -293,6 +928,19 @@ class DataDrag {
    * @returns {HTMLElement|null} Drop parent element or null
    */
   static findDropParent(x, y) {
+    return DataDrag.findAtPoint(x, y, '[data-drag-parent]');
+  }
+
+  /**
+   * Find the element matching a selector at screen coordinates across all shadow roots
+   *
+   * @static
+   * @param {number} x - Screen X coordinate
+   * @param {number} y - Screen Y coordinate
+   * @param {string} selector - CSS selector to match, from the element under the point upwards
+   * @returns {HTMLElement|null} Matching element or null
+   */
+  static findAtPoint(x, y, selector) {
     // Check each registered root for drop targets
     for (const instance of DataDrag.instances) {
       const root = instance.root;
@@ -318,10 +966,10 @@ class DataDrag {
         }
       }
 
-      // If we found an element, search for data-drag parent
+      // If we found an element, search upwards for a match
       if (element) {
-        const parent = DataDrag.findParentInTree(element, '[data-drag-parent]');
-        if (parent) return parent;
+        const match = DataDrag.findParentInTree(element, selector);
+        if (match) return match;
       }
     }
 
@@ -329,408 +977,3918 @@ class DataDrag {
   }
 
   /**
-   * Apply adoption configuration to a dropped item
-   * Sets attributes defined in parent's "adopted" config
+   * Collect every drop container across all registered roots
+   * Order follows instance registration, then document order within each root
    *
    * @static
-   * @param {HTMLElement} item - The dropped item element
-   * @param {HTMLElement} parent - The parent container with adoption rules
-   *
-   * @example
-   * // Parent config: {"adopted": {"class": "item", "data-drag": {"sort": true}}}
-   * // Result: item gets class="item" and data-drag='{"sort":true}'
+   * @returns {Array<HTMLElement>} All [data-drag-parent] elements
    */
-  static applyAdoption(item, parent) {
-    const parentConfig = DataDrag.parseParentOptions(parent);
+  static findAllParents() {
+    const parents = [];
 
-    const hasAdoptionRules = (parentConfig?.adopted);
-    if (!hasAdoptionRules) return;
+    for (const instance of DataDrag.instances) {
+      parents.push(...instance.root.querySelectorAll('[data-drag-parent]'));
+    }
 
-    // Apply each attribute defined in adoption config
-    Object.entries(parentConfig.adopted).forEach(([attribute, value]) => {
-      const valueIsObject = (typeof value === 'object');
+    return parents;
+  }
 
-      if (valueIsObject) {
-        // Convert object to JSON with single quotes (Bootstrap style)
-        const jsonValue = JSON.stringify(value).replace(/"/g, "'");
-        item.setAttribute(attribute, jsonValue);
-      } else {
-        // Simple string/number value
-        item.setAttribute(attribute, value);
-      }
-    });
+  /**
+   * Get the draggable children of a container
+   * Only [data-drag] elements count, the mirror never does
+   *
+   * @static
+   * @param {HTMLElement} container - Parent container
+   * @returns {Array<HTMLElement>} Draggable children in DOM order
+   */
+  static draggableChildren(container) {
+    return Array.from(container.children).filter(child => {
+      const isMirror = (child === DataDrag.globalDragState?.mirror);
+      const isDataDrag = child.hasAttribute('data-drag');
 
-    // Notify that adoption occurred
-    DataDrag.dispatchEvent(parent, 'adopted', {
-      item,
-      parent,
-      adopted: parentConfig.adopted
+      // A placeholder stands in for the hidden item it represents
+      const isPlaceholder = child.classList.contains('data-drag-placeholder');
+      const isHidden = child.classList.contains('data-drag-hidden');
+
+      return !isMirror && !isHidden && (isDataDrag || isPlaceholder);
     });
   }
 
   /**
-   * Create a visual mirror element that follows the cursor during drag
-   * The mirror is a clone of the dragged item positioned at cursor coordinates
+   * Find an element's position in its container
+   * index counts every child, draggableIndex only [data-drag] children
+   * (the same children findInsertPosition looks at)
    *
-   * @param {HTMLElement} element - Element to mirror
-   * @returns {HTMLElement} Mirror element
+   * @static
+   * @param {HTMLElement} element - Element to locate
+   * @returns {Object} { index, draggableIndex }, -1 when the element has no parent
    */
-  createMirror(element) {
-    const rect = element.getBoundingClientRect();
-    const mirror = element.cloneNode(true);
+  static indexesOf(element) {
+    const parent = element.parentElement;
+    if (!parent) return { index: -1, draggableIndex: -1 };
 
-    // Style the mirror to follow cursor
-    mirror.classList.add('data-drag-mirror');
-    mirror.style.cssText = `
-      position: fixed;
-      pointer-events: none;
-      z-index: 9999;
-      width: ${rect.width}px;
-      height: ${rect.height}px;
-      left: ${rect.left}px;
-      top: ${rect.top}px;
-      opacity: 0.8;
-      margin: 0;
-    `;
+    // An item hidden behind a placeholder doesn't hold a position
+    const children = Array.from(parent.children).filter(child => !child.classList.contains('data-drag-hidden'));
 
-    document.body.appendChild(mirror);
-    return mirror;
+    return {
+      index: children.indexOf(element),
+      draggableIndex: DataDrag.draggableChildren(parent).indexOf(element)
+    };
   }
 
   /**
-   * Find the correct position to insert the dragged element
-   * Returns the element that should come after the insertion point
+   * List the containers a container is nested in, outermost first
+   * The container itself comes last, so a top-level list has a path of one
    *
-   * @param {HTMLElement} container - Parent container
-   * @param {Object} options - Configuration options
-   * @param {number} clientX - Mouse X coordinate
-   * @param {number} clientY - Mouse Y coordinate
-   * @param {HTMLElement} dragElement - Element being dragged
-   * @returns {HTMLElement|null} Reference element for insertion, or null for end
+   * @static
+   * @param {HTMLElement} container - Container to start from
+   * @returns {Array<HTMLElement>} [data-drag-parent] elements from the outermost down
    */
-  findInsertPosition(container, options, clientX, clientY, dragElement) {
-    // Get all data-drag children except the dragged element and mirror
-    const children = Array.from(container.children).filter(child => {
-      const isDragElement = (child === dragElement);
-      const isMirror = (child === DataDrag.globalDragState?.mirror);
-      const isDataDrag = child.hasAttribute('data-drag');
+  static containerPath(container) {
+    const path = [];
 
-      return !isDragElement && !isMirror && isDataDrag;
-    });
-
-    const isHorizontal = (options.direction === 'horizontal');
+    let current = container;
+    while (current) {
+      path.unshift(current);
+      const above = current.parentElement || current.parentNode?.host;
+      current = above ? DataDrag.findParentInTree(above, '[data-drag-parent]') : null;
+    }
 
-    // Find first child whose midpoint is after the cursor
-    for (const child of children) {
-      const rect = child.getBoundingClientRect();
+    return path;
+  }
 
-      const midpoint = isHorizontal
-        ? rect.left + rect.width / 2
-        : rect.top + rect.height / 2;
+  /**
+   * Build the old/new path fields for events that move an item between containers
+   *
+   * @static
+   * @param {HTMLElement} from - Container the item left
+   * @param {HTMLElement} to - Container the item is in now
+   * @returns {Object} { oldPath, newPath }
+   */
+  static pathDetail(from, to) {
+    return {
+      oldPath: DataDrag.containerPath(from),
+      newPath: DataDrag.containerPath(to)
+    };
+  }
 
-      const coordinate = isHorizontal ? clientX : clientY;
+  /**
+   * Read a tree option from the nearest container in the path that sets it
+   * Trees configure their outermost list once, nested lists may override
+   *
+   * @static
+   * @param {HTMLElement} container - Container to start from
+   * @param {string} name - Option name, such as maxDepth or indent
+   * @returns {Object|null} { value, depth } where depth counts levels below the container that set it
+   */
+  static treeSetting(container, name) {
+    const path = DataDrag.containerPath(container);
 
-      const cursorBeforeMidpoint = (coordinate < midpoint);
-      if (cursorBeforeMidpoint) {
-        return child;
-      }
+    for (let level = path.length - 1; level >= 0; level--) {
+      const value = DataDrag.parseParentOptions(path[level])?.[name];
+      const isSet = (value !== undefined && value !== null);
+      if (isSet) return { value, depth: path.length - 1 - level };
     }
 
-    // No child found means insert at end
     return null;
   }
 
   /**
-   * Remove all drag-related classes and styles from an element
-   * Cleanup function to restore element to normal state
+   * Find the list an item holds its own children in
+   * The first nested container that no other item inside this one owns
    *
-   * @param {HTMLElement} element - Element to clean up
+   * @static
+   * @param {HTMLElement} item - Tree item
+   * @returns {HTMLElement|null} Nested [data-drag-parent] or null for a leaf
    */
-  cleanupElement(element) {
-    if (!element) return;
+  static childList(item) {
+    const lists = item.querySelectorAll('[data-drag-parent]');
+    return Array.from(lists).find(list => list.parentElement.closest('[data-drag]') === item) || null;
+  }
 
-    element.classList.remove('data-drag-dragging');
-    element.style.opacity = '';
-    element.style.transition = '';
-    element.style.transform = '';
+  /**
+   * Count how many levels of items hang below an item
+   * Empty child lists don't count, a leaf has a height of 0
+   *
+   * @static
+   * @param {HTMLElement} item - Tree item
+   * @returns {number} Levels of descendants
+   */
+  static branchHeight(item) {
+    const list = DataDrag.childList(item);
+    if (!list) return 0;
+
+    const heights = DataDrag.draggableChildren(list).map(child => 1 + DataDrag.branchHeight(child));
+    return Math.max(0, ...heights);
   }
 
   /**
-   * Animate element from old position to new position
-   * Uses FLIP technique: measure before/after, then animate the difference
+   * Check whether an item and its descendants would go deeper than the tree's maxDepth
    *
-   * @param {HTMLElement} element - Element to animate
-   * @param {DOMRect} fromRect - Original bounding rectangle
-   * @param {DOMRect} toRect - New bounding rectangle
-   * @param {number} duration - Animation duration in milliseconds
+   * @static
+   * @param {HTMLElement} container - Container the item would go into
+   * @param {HTMLElement} item - Dragged item
+   * @param {number} [height] - The item's branchHeight, if already known
+   * @returns {boolean} True if the drop would break the limit
    */
-  animateInsertion(element, fromRect, toRect, duration) {
-    const deltaX = fromRect.left - toRect.left;
-    const deltaY = fromRect.top - toRect.top;
+  static exceedsMaxDepth(container, item, height) {
+    const limit = DataDrag.treeSetting(container, 'maxDepth');
+    if (!limit) return false;
 
-    const hasNotMoved = (deltaX === 0 && deltaY === 0);
-    if (hasNotMoved) return;
+    return limit.depth + (height ?? DataDrag.branchHeight(item)) > limit.value;
+  }
 
-    // Start at old position (transformed)
-    element.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
-    element.style.transition = 'none';
+  /**
+   * Check whether a tree item has its children folded away
+   * Collapsed items have aria-expanded="false" or are closed <details> elements
+   *
+   * @static
+   * @param {HTMLElement} item - Tree item
+   * @returns {boolean} True if the item is collapsed
+   */
+  static isCollapsed(item) {
+    const isClosedDetails = (item.tagName === 'DETAILS' && !item.open);
+    return (item.getAttribute('aria-expanded') === 'false' || isClosedDetails);
+  }
 
-    // Animate to new position (no transform)
-    requestAnimationFrame(() => {
-      element.style.transition = `transform ${duration}ms ease`;
-      element.style.transform = 'translate(0, 0)';
-    });
+  /**
+   * Check whether a container is folded away inside a collapsed tree item
+   *
+   * @static
+   * @param {HTMLElement} container - Container to check
+   * @returns {boolean} True if a collapsed item hides it
+   */
+  static isFolded(container) {
+    return !!container.parentElement?.closest('[aria-expanded="false"], details:not([open])');
   }
 
   /**
-   * Handle mouse down event - start of potential drag
-   * Validates drag handle, finds parent, and sets up drag state
+   * Expand or collapse a tree item
    *
-   * @param {MouseEvent} event - Mouse down event
+   * @static
+   * @param {HTMLElement} item - Tree item
+   * @param {boolean} expanded - True to show its children
    */
-  handleMouseDown(event) {
-    const isLeftClick = (event.button === 0);
-    if (!isLeftClick) return;
+  static setExpanded(item, expanded) {
+    item.setAttribute('aria-expanded', String(expanded));
+    if (item.tagName === 'DETAILS') item.open = expanded;
+  }
 
-    const alreadyDragging = (DataDrag.globalDragState !== null);
-    if (alreadyDragging) return;
+  /**
+   * Move an insertion point levels deeper or shallower in a tree, outliner style
+   * Indenting makes the item the last child of the item above it (which needs a
+   * child list and must not be collapsed); outdenting is only possible from the
+   * end of a list and puts the item right after the item that owns the list
+   *
+   * @static
+   * @param {HTMLElement} container - Container of the insertion point
+   * @param {HTMLElement|null} reference - Element the item would go before
+   * @param {HTMLElement} element - Dragged element, ignored as a neighbour
+   * @param {number} shift - Levels to indent (positive) or outdent (negative)
+   * @returns {Object} { parent, reference } of the shifted insertion point
+   */
+  static shiftLevel(container, reference, element, shift) {
+    let parent = container;
+    let next = reference;
 
-    // Find the data-drag item that was clicked
-    const item = DataDrag.findInPath(event, '[data-drag]');
-    if (!item) return;
+    for (let level = 0; level < shift; level++) {
+      const siblings = DataDrag.draggableChildren(parent).filter(child => child !== element);
+      const position = next ? siblings.indexOf(next) : siblings.length;
+      const above = siblings[position - 1];
+      const list = (above && !DataDrag.isCollapsed(above)) ? DataDrag.childList(above) : null;
+      if (!list) break;
 
-    // Check configuration for this item
-    const options = DataDrag.parseOptions(item);
+      parent = list;
+      next = null;
+    }
 
-    // If handle is specified, ensure click was on handle
-    const requiresHandle = (options.handle !== null);
-    if (requiresHandle) {
-      const clickedHandle = DataDrag.findInPath(event, options.handle);
-      if (!clickedHandle) return;
+    for (let level = 0; level > shift; level--) {
+      const isLastInList = !next;
+      const owner = isLastInList ? DataDrag.findParentInTree(parent.parentElement, '[data-drag]') : null;
+      const outer = owner ? DataDrag.findParentInTree(owner.parentElement, '[data-drag-parent]') : null;
+      if (!outer) break;
+
+      const siblings = DataDrag.draggableChildren(outer).filter(child => child !== element);
+      parent = outer;
+      next = siblings[siblings.indexOf(owner) + 1] || null;
     }
 
-    // Find the data-drag parent container
-    const parent = DataDrag.findInPath(event, '[data-drag-parent]');
-    if (!parent) return;
+    return { parent, reference: next };
+  }
 
-    // Calculate offset from item's top-left corner to cursor
-    const rect = item.getBoundingClientRect();
-    const offsetX = event.clientX - rect.left;
-    const offsetY = event.clientY - rect.top;
+  /**
+   * Check whether the user asked the system to minimize motion
+   *
+   * @static
+   * @returns {boolean} True when prefers-reduced-motion is set to reduce
+   */
+  static prefersReducedMotion() {
+    return !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  }
 
-    // Initialize drag state
-    this.dragState = {
-      item,
-      parent,
-      options,
-      offsetX,
-      offsetY,
-      startX: event.clientX,
-      startY: event.clientY,
-      mirror: null,
-      copy: null,
-      isDragging: false,
-      sourceInstance: this
-    };
+  /**
+   * Work out which layout a container uses for an item's options
+   * "auto" reads the container's CSS: grids and wrapping flex rows are grids,
+   * other flex containers (wrapping columns too) follow their flex-direction,
+   * everything else is vertical
+   *
+   * @static
+   * @param {HTMLElement} container - Parent container
+   * @param {Object} options - Item options with a direction
+   * @returns {string} 'vertical', 'horizontal' or 'grid'
+   */
+  static resolveDirection(container, options) {
+    if (options.direction !== 'auto') return options.direction;
 
-    // Store in global state for cross-root coordination
-    DataDrag.globalDragState = this.dragState;
+    const style = getComputedStyle(container);
+    const isGrid = /grid/.test(style.display);
+    const isFlex = /flex/.test(style.display);
+    const wraps = /wrap/.test(style.flexWrap);
+    const isColumn = style.flexDirection.startsWith('column');
 
-    // Set up event listeners for drag operation
-    document.addEventListener('mousemove', this.handleMouseMove);
-    document.addEventListener('mouseup', this.handleMouseUp);
+    // Grid placement goes row by row, so only wrapping rows count as a grid
+    if (isGrid || (isFlex && wraps && !isColumn)) return 'grid';
+    if (isFlex) return isColumn ? 'vertical' : 'horizontal';
+    return 'vertical';
+  }
 
-    event.preventDefault();
+  /**
+   * Check whether a container lays out right to left
+   *
+   * @static
+   * @param {HTMLElement} container - Parent container
+   * @returns {boolean} True for direction: rtl
+   */
+  static isRightToLeft(container) {
+    return (getComputedStyle(container).direction === 'rtl');
   }
 
   /**
-   * Handle mouse move event - track cursor and update drag state
-   * Creates mirror on first move, checks drop targets, animates transitions
+   * Group elements into visual rows, in DOM order
+   * An element whose vertical center is below the current row starts a new one
    *
-   * @param {MouseEvent} event - Mouse move event
+   * @static
+   * @param {Array<HTMLElement>} elements - Elements to group
+   * @returns {Array<Object>} Rows: { top, bottom, cells: [{ element, rect }] }
    */
-  handleMouseMove(event) {
-    const state = DataDrag.globalDragState;
-    if (!state) return;
+  static gridRows(elements) {
+    const rows = [];
 
-    // Calculate distance moved from start
-    const distanceMoved = Math.hypot(
-      event.clientX - state.startX,
-      event.clientY - state.startY
-    );
+    elements.forEach(element => {
+      const rect = element.getBoundingClientRect();
+      const row = rows[rows.length - 1];
 
-    const notYetDragging = !state.isDragging;
-    if (notYetDragging) {
-      // Require minimum movement before starting drag (prevents accidental drags)
-      const meetsThreshold = (distanceMoved >= 5);
-      if (!meetsThreshold) return;
+      const startsNewRow = (!row || rect.top + rect.height / 2 > row.bottom);
+      if (startsNewRow) {
+        rows.push({ top: rect.top, bottom: rect.bottom, cells: [{ element, rect }] });
+      } else {
+        row.cells.push({ element, rect });
+        row.top = Math.min(row.top, rect.top);
+        row.bottom = Math.max(row.bottom, rect.bottom);
+      }
+    });
 
-      // Initialize drag visuals
-      state.isDragging = true;
-      state.mirror = this.createMirror(state.item);
-      state.item.classList.add('data-drag-dragging');
-      state.item.style.opacity = '0.4';
+    return rows;
+  }
 
-      DataDrag.dispatchEvent(state.parent, 'start', {
-        item: state.item,
-        parent: state.parent
-      });
-    }
+  /**
+   * Collect the scrollable elements around a container, innermost first
+   * Walks out through shadow roots to their hosts; the page itself is left to the window
+   *
+   * @static
+   * @param {HTMLElement} element - Container to start from (included if it scrolls)
+   * @returns {Array<HTMLElement>} Scrollable elements
+   */
+  static scrollableAncestors(element) {
+    const scrollables = [];
+    const pageScroller = document.scrollingElement || document.documentElement;
 
-    // Update mirror position to follow cursor
-    const mirrorX = event.clientX - state.offsetX;
-    const mirrorY = event.clientY - state.offsetY;
-    state.mirror.style.left = `${mirrorX}px`;
-    state.mirror.style.top = `${mirrorY}px`;
+    let current = element;
+    while (current && current !== pageScroller && current !== document.body) {
+      const style = getComputedStyle(current);
+      const scrollsY = (/(auto|scroll|overlay)/.test(style.overflowY) && current.scrollHeight > current.clientHeight);
+      const scrollsX = (/(auto|scroll|overlay)/.test(style.overflowX) && current.scrollWidth > current.clientWidth);
+      if (scrollsY || scrollsX) {
+        scrollables.push(current);
+      }
 
-    // Find drop target by hiding mirror and checking element at cursor
-    state.mirror.style.display = 'none';
-    const dropParent = DataDrag.findDropParent(event.clientX, event.clientY);
-    state.mirror.style.display = '';
+      current = current.parentElement || current.getRootNode().host || null;
+    }
 
-    const noValidDropTarget = !dropParent;
-    if (noValidDropTarget) return;
+    return scrollables;
+  }
 
-    // Check access control rules
-    const parentConfig = DataDrag.parseParentOptions(dropParent);
-    const hasAccessRules = (parentConfig?.access);
+  /**
+   * Work out the scroll step along one axis from how close the pointer is to an edge
+   *
+   * @static
+   * @param {number} pointer - Pointer coordinate
+   * @param {number} start - Near edge of the scrolling area
+   * @param {number} end - Far edge of the scrolling area
+   * @param {Object} options - Item options: scrollEdge, scrollSpeed, scrollCurve
+   * @returns {number} Pixels to scroll this frame (negative = backwards)
+   */
+  static edgeVelocity(pointer, start, end, options) {
+    const edge = Math.min(options.scrollEdge, (end - start) / 2);
+    const curve = DataDrag.scrollCurves[options.scrollCurve] || DataDrag.scrollCurves.linear;
 
-    if (hasAccessRules) {
-      const access = new Access(parentConfig.access);
-      const accessDenied = !access.canAccept(state.item, state.parent);
-      if (accessDenied) return;
-    }
+    const fromStart = pointer - start;
+    const fromEnd = end - pointer;
 
-    // Determine copy and sort behavior
-    const isDifferentParent = (dropParent !== state.parent);
-    const shouldCreateCopy = (state.options.copy && isDifferentParent);
-    const canSortInParent = (state.options.sort || isDifferentParent);
+    if (fromStart < edge) return -Math.ceil(options.scrollSpeed * curve(1 - Math.max(fromStart, 0) / edge));
+    if (fromEnd < edge) return Math.ceil(options.scrollSpeed * curve(1 - Math.max(fromEnd, 0) / edge));
+    return 0;
+  }
 
-    // Handle copy creation/removal based on current parent
-    const needsNewCopy = (shouldCreateCopy && !state.copy);
-    const needsRemoveCopy = (!shouldCreateCopy && state.copy);
+  /**
+   * Get the draggable index an element would take if inserted before a reference
+   *
+   * @static
+   * @param {HTMLElement} container - Target container
+   * @param {HTMLElement|null} reference - Element it would be inserted before (null = end)
+   * @param {HTMLElement} element - Element being placed, not counted itself
+   * @returns {number} Proposed draggable index
+   */
+  static proposedIndex(container, reference, element) {
+    const others = DataDrag.draggableChildren(container).filter(child => child !== element);
+    const position = others.indexOf(reference);
+
+    return (position === -1) ? others.length : position;
+  }
+
+  /**
+   * Build the old/new index fields shared by every event detail
+   *
+   * @static
+   * @param {Object} before - Position before: { index, draggableIndex }
+   * @param {Object} after - Position after: { index, draggableIndex }
+   * @returns {Object} { oldIndex, newIndex, oldDraggableIndex, newDraggableIndex }
+   */
+  static indexDetail(before, after) {
+    return {
+      oldIndex: before.index,
+      newIndex: after.index,
+      oldDraggableIndex: before.draggableIndex,
+      newDraggableIndex: after.draggableIndex
+    };
+  }
+
+  /**
+   * Collect the promises drop listeners hand to detail.waitUntil()
+   * waitUntil() only works while the event is being dispatched
+   *
+   * @static
+   * @returns {Object} { promises, waitUntil, close } - call close() once the dispatch returns
+   */
+  static collectValidations() {
+    const promises = [];
+    let isDispatching = true;
+
+    return {
+      promises,
+      waitUntil: (promise) => {
+        if (!isDispatching) {
+          throw new Error('waitUntil() must be called while datadrag:drop is being dispatched');
+        }
+        promises.push(Promise.resolve(promise));
+      },
+      close: () => {
+        isDispatching = false;
+      }
+    };
+  }
+
+  /**
+   * Dispatch the SortableJS-style events for a completed drop
+   * add fires on the receiving container, remove on the source (moves only)
+   * and update on a container whose own items were reordered
+   *
+   * @static
+   * @param {Object} detail - Drop detail with item, from, to, isCopy and indexes
+   */
+  static dispatchSortEvents(detail) {
+    const isSameParent = (detail.from === detail.to);
+
+    if (isSameParent) {
+      const orderChanged = (detail.oldIndex !== detail.newIndex);
+      if (orderChanged) DataDrag.dispatchEvent(detail.to, 'update', detail);
+      return;
+    }
+
+    DataDrag.dispatchEvent(detail.to, 'add', detail);
+    if (!detail.isCopy) {
+      DataDrag.dispatchEvent(detail.from, 'remove', detail);
+    }
+  }
+
+  /**
+   * Find a container by selector, searching the context's own root first
+   * and then every registered root. An invalid selector finds nothing
+   *
+   * @static
+   * @param {HTMLElement} context - Element whose root is searched first
+   * @param {string} selector - CSS selector of the container
+   * @returns {HTMLElement|null} Matching element or null
+   */
+  static resolveContainer(context, selector) {
+    if (!selector) return null;
+
+    const roots = [context.getRootNode(), ...Array.from(DataDrag.instances, instance => instance.root)];
+    try {
+      for (const root of roots) {
+        const match = root.querySelector?.(selector);
+        if (match) return match;
+      }
+    } catch (e) {
+      console.warn('Invalid selector pattern:', selector);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the min/max item counts for moving an element into a container
+   * A full container either refuses (overflow "deny"), pushes its last item
+   * to the "overflowTo" container ("push"), or sends the item at the insertion
+   * point back to where the incoming element came from ("swap"). A slot holds
+   * one item and replaces it ("replace"), sending it where its "replaced" option
+   * says. Either way the item making room must be allowed where it goes, or the
+   * container refuses
+   *
+   * @static
+   * @param {HTMLElement} target - Container the element would enter
+   * @param {HTMLElement|null} reference - Element it would be inserted before
+   * @param {HTMLElement|null} source - Container it leaves (null for a fresh copy)
+   * @param {Node|null} sourceReference - Its next sibling in the source
+   * @returns {Object} Plan: { allowed, full, max, overflow, target, victim, victimOrigin, destination, destinationReference, destinationIndex, discard }
+   */
+  static checkCapacity(target, reference, source, sourceReference) {
+    const isEntering = (source !== target);
+    if (!isEntering) return { allowed: true };
+
+    // Leaving must not take the source below its minimum
+    const sourceMin = source ? DataDrag.parseParentOptions(source)?.min : undefined;
+    const hasSourceMin = (typeof sourceMin === 'number');
+    if (hasSourceMin) {
+      const remaining = DataDrag.draggableChildren(source).length - 1;
+      if (remaining < sourceMin) return { allowed: false, full: false };
+    }
+
+    const config = DataDrag.parseParentOptions(target) || {};
+    const items = DataDrag.draggableChildren(target);
+    const isSlot = (config.slot === true);
+    const max = isSlot ? 1 : config.max;
+    const hasMax = (typeof max === 'number');
+    const hasRoom = (!hasMax || items.length < max);
+    if (hasRoom) return { allowed: true };
+
+    const overflow = isSlot ? 'replace' : (config.overflow || 'deny');
+    const plan = { allowed: false, full: true, max, overflow, target };
+
+    if (overflow === 'push') {
+      // The last item makes way and moves to the overflow container
+      plan.victim = items[items.length - 1];
+      plan.destination = DataDrag.resolveContainer(target, config.overflowTo);
+      plan.destinationReference = null;
+    } else if (overflow === 'swap' && source) {
+      // The item under the cursor trades places with the incoming one
+      plan.victim = items.includes(reference) ? reference : items[items.length - 1];
+      plan.destination = source;
+      plan.destinationReference = sourceReference;
+    } else if (overflow === 'replace') {
+      // The occupant of a slot makes way for the newcomer
+      plan.victim = items[0];
+      Object.assign(plan, DataDrag.replacedFate(plan.victim, target, config.replaced, source, sourceReference));
+    }
+
+    const hasPlace = plan.discard
+      || (plan.destination && DataDrag.takesOverflow(plan.destination, plan.destinationReference, plan.victim, target, source));
+    const canMakeRoom = (plan.victim && hasPlace);
+    if (canMakeRoom) {
+      plan.allowed = true;
+      plan.victimOrigin = { parent: target, ...DataDrag.indexesOf(plan.victim) };
+    }
+
+    return plan;
+  }
+
+  /**
+   * Check whether an item making room in a full container may go where the plan sends it
+   * The destination's rules must let it in, as for a dropped item, and it needs a
+   * free place: one drop moves at most one item out of the way, so a full
+   * destination refuses instead of overflowing in turn
+   *
+   * @static
+   * @param {HTMLElement} destination - Container the item would move to
+   * @param {Node|null} reference - Element it would be inserted before
+   * @param {HTMLElement} victim - Item making room
+   * @param {HTMLElement} from - The full container it leaves
+   * @param {HTMLElement|null} source - Container the incoming element leaves, which frees a place there
+   * @returns {boolean} True if the item may move there
+   */
+  static takesOverflow(destination, reference, victim, from, source) {
+    const victimState = { item: victim, parent: from, copy: null, ruleResults: new Map() };
+    const index = DataDrag.proposedIndex(destination, reference, victim);
+    const isRefused = !!DataDrag.findDenial(destination, victimState, index);
+    if (isRefused) return false;
+
+    const config = DataDrag.parseParentOptions(destination) || {};
+    const max = (config.slot === true) ? 1 : config.max;
+    const hasMax = (typeof max === 'number');
+    const freed = (destination === source) ? 1 : 0;
+    const count = DataDrag.draggableChildren(destination).length - freed;
+
+    return (!hasMax || count < max);
+  }
+
+  /**
+   * Work out where a slot's occupant goes when another item replaces it
+   * "origin" (the default) sends it back to the container it was dropped in from;
+   * without one it trades places with the newcomer, and one that was copied in
+   * (or makes way for a copy) is discarded. "discard" removes it and any other
+   * value is a selector of the container it moves to
+   *
+   * @static
+   * @param {HTMLElement} occupant - Item in the slot
+   * @param {HTMLElement} slot - The slot container
+   * @param {string} [fate='origin'] - The slot's "replaced" option
+   * @param {HTMLElement|null} source - Container the newcomer leaves (null for a fresh copy)
+   * @param {Node|null} sourceReference - The newcomer's next sibling in its source
+   * @returns {Object} { destination, destinationReference, destinationIndex } or { discard: true }
+   */
+  static replacedFate(occupant, slot, fate = 'origin', source, sourceReference) {
+    let destination = null;
+    let destinationReference = null;
+    let destinationIndex;
+
+    if (fate === 'origin') {
+      const home = DataDrag.slotOrigins.get(occupant);
+      const hasHome = (home && home.parent.isConnected && home.parent !== slot);
+      const wasCopiedIn = (home === null);
+      if (hasHome) {
+        // Its old index is looked up once the newcomer has left, which may free it
+        destination = home.parent;
+        destinationIndex = home.index;
+      } else if (source && !wasCopiedIn) {
+        destination = source;
+        destinationReference = sourceReference;
+      } else {
+        return { discard: true };
+      }
+    } else if (fate === 'discard') {
+      return { discard: true };
+    } else {
+      destination = DataDrag.resolveContainer(slot, fate);
+    }
+
+    return { destination, destinationReference, destinationIndex };
+  }
+
+  /**
+   * Carry out a push, swap or replacement planned by checkCapacity
+   *
+   * @static
+   * @param {Object} plan - Result of checkCapacity
+   * @returns {Object|null} Displaced entry { element, origin, cause } or null
+   */
+  static applyOverflow(plan) {
+    if (!plan.victim) return null;
+
+    // A discarded occupant leaves the page, but comes back if the drag moves on
+    if (plan.discard) {
+      plan.victim.remove();
+    } else if (typeof plan.destinationIndex === 'number') {
+      plan.destination.insertBefore(plan.victim, plan.destination.children[plan.destinationIndex] || null);
+    } else {
+      plan.destination.insertBefore(plan.victim, plan.destinationReference);
+    }
+    return { element: plan.victim, origin: plan.victimOrigin, cause: plan.target };
+  }
+
+  /**
+   * Tell listeners a container hit its max
+   *
+   * @static
+   * @param {Object} plan - Result of checkCapacity
+   * @param {HTMLElement} item - Element that tried to enter
+   * @returns {boolean} False if a listener called preventDefault()
+   */
+  static dispatchFull(plan, item) {
+    return DataDrag.dispatchEvent(plan.target, 'full', {
+      item,
+      parent: plan.target,
+      max: plan.max,
+      overflow: plan.overflow,
+      displaced: plan.allowed ? plan.victim : null
+    });
+  }
+
+  /**
+   * Copy an item for a copy drag
+   * The copy is a new item, so it doesn't inherit the original's selection
+   *
+   * @static
+   * @param {HTMLElement} item - Item to copy
+   * @returns {HTMLElement} Deep clone of the item
+   */
+  static copyOf(item) {
+    const copy = item.cloneNode(true);
+    copy.classList.remove('data-drag-selected');
+    return copy;
+  }
+
+  /**
+   * Put displaced items back where they were before an overflow
+   * Lowest indexes go first so each one lands on its original index
+   *
+   * @static
+   * @param {Array<Object>} entries - Displaced entries from applyOverflow
+   */
+  static restoreDisplaced(entries) {
+    const byIndex = [...entries].sort((a, b) => a.origin.index - b.origin.index);
+
+    byIndex.forEach(({ element, origin }) => {
+      element.remove();
+      origin.parent.insertBefore(element, origin.parent.children[origin.index] || null);
+    });
+  }
+
+  /**
+   * Note where an item came from when it lands in a slot, for a later "origin" replacement
+   * Landing anywhere else forgets it
+   *
+   * @static
+   * @param {HTMLElement} item - Item that was dropped or moved
+   * @param {HTMLElement} container - Container it landed in
+   * @param {Object|null} origin - { parent, index } it came from, null for a copy
+   */
+  static rememberSlotOrigin(item, container, origin) {
+    const isSlot = (DataDrag.parseParentOptions(container)?.slot === true);
+    if (!isSlot) {
+      DataDrag.slotOrigins.delete(item);
+      return;
+    }
+
+    const hasOrigin = (origin && origin.parent !== container);
+    if (origin && !hasOrigin) return;
+    DataDrag.slotOrigins.set(item, origin ? { parent: origin.parent, index: origin.index } : null);
+  }
+
+  /**
+   * Move an item from code, with the same min/max, overflow and tree rules as a drag
+   * Applies adoption and fires add/remove/update like a completed drop
+   *
+   * @static
+   * @param {HTMLElement} item - Item to move
+   * @param {HTMLElement} target - Container to move it into
+   * @param {HTMLElement|null} reference - Element to insert before, or null for end
+   * @returns {boolean} True if the item moved
+   */
+  static moveItem(item, target, reference = null) {
+    const from = item.parentElement;
+
+    // A branch can't go inside itself or deeper than its tree allows
+    const breaksTree = (item.contains(target) || DataDrag.exceedsMaxDepth(target, item));
+    if (breaksTree) return false;
+
+    const capacity = DataDrag.checkCapacity(target, reference, from, item.nextSibling);
+
+    if (!capacity.allowed) {
+      if (capacity.full) {
+        DataDrag.dispatchFull(capacity, item);
+      }
+      return false;
+    }
+
+    const before = DataDrag.indexesOf(item);
+    target.insertBefore(item, reference);
+
+    const displaced = DataDrag.applyOverflow(capacity);
+    if (displaced) {
+      DataDrag.dispatchFull(capacity, item);
+    }
+
+    const isDifferentParent = (from !== target);
+    if (isDifferentParent) {
+      DataDrag.applyAdoption(item, target);
+      DataDrag.rememberSlotOrigin(item, target, { parent: from, ...before });
+    }
+
+    DataDrag.dispatchSortEvents({
+      item,
+      from,
+      to: target,
+      isCopy: false,
+      displaced: displaced ? [displaced.element] : [],
+      ...DataDrag.indexDetail(before, DataDrag.indexesOf(item)),
+      ...DataDrag.pathDetail(from, target)
+    });
+
+    return true;
+  }
+
+  /**
+   * Announce a drag step to screen readers
+   * Uses the live region of the root that holds the container and the
+   * container's own "messages" overrides when it has them
+   *
+   * @static
+   * @param {HTMLElement} container - Container the message is about
+   * @param {string} type - Message key, e.g. pickup, move, drop, denied, cancel or select
+   * @param {HTMLElement} item - Item the message is about
+   * @param {Object} [values={}] - Extra placeholder values, such as count
+   */
+  static announce(container, type, item, values = {}) {
+    const root = container.getRootNode();
+    const instances = Array.from(DataDrag.instances);
+    const instance = instances.find(candidate => candidate.root === root)
+      || instances.find(candidate => candidate.root === document);
+    if (!instance) return;
+
+    const parentConfig = DataDrag.parseParentOptions(container);
+    const template = parentConfig?.messages?.[type] ?? DataDrag.messages[type];
+
+    const siblings = DataDrag.draggableChildren(container);
+    const text = Announcer.format(template, {
+      item: Announcer.labelFor(item, 'item'),
+      container: Announcer.labelFor(container, 'the list', false),
+      position: siblings.indexOf(item) + 1,
+      total: siblings.length,
+      ...values
+    });
+
+    instance.announcer.announce(text);
+  }
+
+  /**
+   * Apply adoption configuration to a dropped item
+   * Sets attributes defined in parent's "adopted" config
+   *
+   * @static
+   * @param {HTMLElement} item - The dropped item element
+   * @param {HTMLElement} parent - The parent container with adoption rules
+   *
+   * @example
+   * // Parent config: {"adopted": {"class": "item", "data-drag": {"sort": true}}}
+   * // Result: item gets class="item" and data-drag='{"sort":true}'
+   */
+  static applyAdoption(item, parent) {
+    const parentConfig = DataDrag.parseParentOptions(parent);
+
+    const hasAdoptionRules = (parentConfig?.adopted);
+    if (!hasAdoptionRules) return;
+
+    // Apply each attribute defined in adoption config
+    Object.entries(parentConfig.adopted).forEach(([attribute, value]) => {
+      const valueIsObject = (typeof value === 'object');
+
+      if (valueIsObject) {
+        // Convert object to JSON with single quotes (Bootstrap style)
+        const jsonValue = JSON.stringify(value).replace(/"/g, "'");
+        item.setAttribute(attribute, jsonValue);
+      } else {
+        // Simple string/number value
+        item.setAttribute(attribute, value);
+      }
+    });
+
+    // Notify that adoption occurred
+    DataDrag.dispatchEvent(parent, 'adopted', {
+      item,
+      parent,
+      adopted: parentConfig.adopted
+    });
+  }
+
+  /**
+   * Prepare every draggable item inside a node
+   *
+   * @param {Node} node - Added node, root or subtree to scan
+   */
+  prepareTree(node) {
+    const isElementNode = (node.nodeType === 1);
+    if (isElementNode) this.prepareElement(node);
+
+    node.querySelectorAll?.('[data-drag], [data-drag-parent]').forEach(element => this.prepareElement(element));
+  }
+
+  /**
+   * Make items and containers reachable from the keyboard and screen readers
+   * Adds tabindex and ARIA attributes, leaving any the page already chose untouched
+   *
+   * @param {HTMLElement} element - Element that may carry data-drag or data-drag-parent
+   */
+  prepareElement(element) {
+    const isContainer = element.hasAttribute('data-drag-parent');
+    const isNativeList = ['UL', 'OL'].includes(element.tagName);
+    if (isContainer && !isNativeList && !element.hasAttribute('role')) {
+      element.setAttribute('role', 'list');
+    }
+
+    const isDraggable = element.hasAttribute('data-drag');
+    if (!isDraggable) return;
+
+    const isNativeListItem = (element.tagName === 'LI');
+    if (!isNativeListItem && !element.hasAttribute('role')) {
+      element.setAttribute('role', 'listitem');
+    }
+
+    if (!element.hasAttribute('aria-grabbed')) {
+      element.setAttribute('aria-grabbed', 'false');
+    }
+
+    const parent = DataDrag.findParentInTree(element.parentElement, '[data-drag-parent]');
+    const options = DataDrag.parseOptions(element, DataDrag.inheritedOptions(parent));
+
+    // Native drag images need the browser's own drag and drop
+    const usesNativeImage = (options.mirror === 'native');
+    if (usesNativeImage && !element.hasAttribute('draggable')) {
+      element.setAttribute('draggable', 'true');
+    }
+
+    // Instant touch drags must stop the browser scrolling before the finger lands
+    const dragsOnTouch = (options.touchDelay === 0 && !usesNativeImage);
+    if (dragsOnTouch) {
+      DataDrag.touchSurfaces(element, options)
+        .filter(surface => !surface.style.touchAction)
+        .forEach(surface => { surface.style.touchAction = 'none'; });
+    }
+
+    if (!options.keyboard) return;
+
+    if (!element.hasAttribute('tabindex')) {
+      element.tabIndex = 0;
+    }
+
+    // Point at the instructions that live in this root
+    const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    const hasInstructions = describedBy.includes(Announcer.instructionsId);
+    if (!hasInstructions) {
+      describedBy.push(Announcer.instructionsId);
+      element.setAttribute('aria-describedby', describedBy.join(' '));
+    }
+  }
+
+  /**
+   * Record the current values of some attributes
+   *
+   * @static
+   * @param {HTMLElement} element - Element to read
+   * @param {Array<string>} names - Attribute names
+   * @returns {Array<Array>} [name, value] pairs, value is null for missing attributes
+   */
+  static snapshotAttributes(element, names) {
+    return names.map(name => [name, element.getAttribute(name)]);
+  }
+
+  /**
+   * Put attributes back to values recorded by snapshotAttributes
+   *
+   * @static
+   * @param {HTMLElement} element - Element to restore
+   * @param {Array<Array>} snapshot - [name, value] pairs
+   */
+  static restoreAttributes(element, snapshot) {
+    snapshot.forEach(([name, value]) => {
+      const wasMissing = (value === null);
+
+      if (wasMissing) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+    });
+  }
+
+  /**
+   * Run a registered mirror renderer, treating errors and non-elements as no preview
+   *
+   * @static
+   * @param {Function} renderer - Registered renderer
+   * @param {string} name - Name it was registered under
+   * @param {Object} context - { item, count, options }
+   * @returns {HTMLElement|null} The preview, or null to fall back to a clone
+   */
+  static renderMirror(renderer, name, context) {
+    try {
+      const mirror = renderer(context);
+      if (mirror instanceof Element) return mirror;
+      console.warn('data-drag mirror renderer did not return an element:', name, mirror);
+    } catch (error) {
+      console.warn('data-drag mirror renderer failed:', name, error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a visual mirror element that follows the cursor during drag
+   * By default the mirror is a clone of the dragged item; the "mirror" option can
+   * name a <template> or a registered renderer instead, and the preview can be
+   * scaled, tilted and badged with the number of items being dragged
+   * Items from a shadow root get a mirror that keeps that root's styles, and the
+   * mirror is shown in the top layer so it stays above modal dialogs and popovers
+   *
+   * @param {HTMLElement} element - Element to mirror
+   * @param {Object} [options] - Item options: mirror, mirrorScale, mirrorTilt and mirrorBadge
+   * @param {number} [count=1] - Number of items being dragged
+   * @param {Object} [offset] - Where the pointer holds the preview: { x, y }
+   * @returns {HTMLElement} Mirror element
+   */
+  createMirror(element, options = defaults, count = 1, offset = { x: 0, y: 0 }) {
+    const rect = element.getBoundingClientRect();
+
+    const renderer = DataDrag.mirrors.get(options.mirror);
+    const template = (!renderer && options.mirror) ? DataDrag.resolveContainer(element, options.mirror) : null;
+    const templateElement = template?.content?.firstElementChild;
+
+    let mirror = null;
+    if (renderer) {
+      mirror = DataDrag.renderMirror(renderer, options.mirror, { item: element, count, options });
+    } else if (templateElement) {
+      mirror = templateElement.cloneNode(true);
+    }
+
+    // Without a custom preview (or when its renderer failed) the item is cloned
+    const isClone = !mirror;
+    if (isClone) {
+      mirror = element.cloneNode(true);
+      DataDrag.copyShadowRoots(element, mirror);
+    }
+
+    // A clone keeps the item's size, custom previews size themselves
+    const size = isClone ? `width: ${rect.width}px; height: ${rect.height}px;` : '';
+
+    // Scale and tilt around the point the pointer holds
+    const transforms = [];
+    if (options.mirrorScale !== 1) transforms.push(`scale(${options.mirrorScale})`);
+    if (options.mirrorTilt) transforms.push(`rotate(${options.mirrorTilt}deg)`);
+
+    // Style the mirror to follow cursor; custom previews keep their own inline styles
+    const ownStyles = isClone ? '' : mirror.style.cssText;
+    mirror.classList.add('data-drag-mirror');
+    mirror.style.cssText = ownStyles + `
+      position: fixed;
+      pointer-events: none;
+      z-index: 9999;
+      ${size}
+      left: ${rect.left}px;
+      top: ${rect.top}px;
+      opacity: 0.8;
+      margin: 0;
+    `;
+
+    // Leave transform alone otherwise, stylesheets may set their own
+    if (transforms.length) {
+      mirror.style.transformOrigin = `${offset.x}px ${offset.y}px`;
+      mirror.style.transform = transforms.join(' ');
+    }
+
+    const showsBadge = (options.mirrorBadge && count > 1);
+    if (showsBadge) {
+      const badge = document.createElement('span');
+      badge.className = 'data-drag-badge';
+      badge.textContent = String(count);
+      badge.style.cssText = `
+        position: absolute;
+        top: -8px;
+        right: -8px;
+        min-width: 20px;
+        padding: 2px 6px;
+        border-radius: 10px;
+        background: #e03131;
+        color: white;
+        font: bold 12px/16px system-ui, sans-serif;
+        text-align: center;
+      `;
+      mirror.appendChild(badge);
+    }
+
+    // An empty fixed host carries the mirror; the host's own box never shows
+    const host = document.createElement('div');
+    host.className = 'data-drag-mirror-host';
+    host.style.cssText = `
+      position: fixed;
+      inset: auto;
+      top: 0;
+      left: 0;
+      width: 0;
+      height: 0;
+      margin: 0;
+      padding: 0;
+      border: 0;
+      overflow: visible;
+      background: transparent;
+      color: inherit;
+      z-index: 9999;
+      pointer-events: none;
+    `;
+
+    // Shadow-scoped styles only reach the mirror inside a root that has them
+    const sourceRoot = element.getRootNode();
+    const isInShadowRoot = (sourceRoot instanceof ShadowRoot);
+    if (isInShadowRoot) {
+      const shadow = host.attachShadow({ mode: 'open' });
+      DataDrag.copyStyles(sourceRoot, shadow);
+      shadow.appendChild(mirror);
+    } else {
+      host.appendChild(mirror);
+    }
+
+    DataDrag.showInTopLayer(host, element);
+    return mirror;
+  }
+
+  /**
+   * Insert the mirror host where nothing can cover it
+   * As a manual popover it joins the top layer, above modal dialogs and open popovers;
+   * browsers without popovers get it inside the open dialog around the item, if any
+   *
+   * @static
+   * @param {HTMLElement} host - Mirror host
+   * @param {HTMLElement} element - Dragged item
+   */
+  static showInTopLayer(host, element) {
+    const supportsPopover = (typeof host.showPopover === 'function');
+    if (supportsPopover) {
+      host.setAttribute('popover', 'manual');
+      document.body.appendChild(host);
+      host.showPopover();
+      return;
+    }
+
+    // Under a modal dialog's backdrop only the dialog itself is visible
+    const dialog = DataDrag.findParentInTree(element, 'dialog[open]');
+    (dialog || document.body).appendChild(host);
+  }
+
+  /**
+   * Remove a mirror along with the host carrying it
+   *
+   * @static
+   * @param {HTMLElement|null} mirror - Mirror element
+   */
+  static removeMirror(mirror) {
+    if (!mirror) return;
+
+    const host = mirror.parentElement || mirror.getRootNode().host;
+    const isWrapped = host?.classList.contains('data-drag-mirror-host');
+    (isWrapped ? host : mirror).remove();
+  }
+
+  /**
+   * Give a shadow root the styles of another
+   * Constructed stylesheets are shared, <style> and stylesheet <link> elements are cloned
+   *
+   * @static
+   * @param {ShadowRoot} fromRoot - Root whose styles are copied
+   * @param {ShadowRoot} toRoot - Root receiving them
+   */
+  static copyStyles(fromRoot, toRoot) {
+    toRoot.adoptedStyleSheets = [...(fromRoot.adoptedStyleSheets || [])];
+
+    fromRoot.querySelectorAll('style, link[rel~="stylesheet"]').forEach(style => {
+      toRoot.appendChild(style.cloneNode(true));
+    });
+  }
+
+  /**
+   * Recreate open shadow roots that cloneNode() leaves behind
+   * Walks the source and its clone side by side, so nested shadow roots are copied too;
+   * custom elements that build their own shadow root when cloned are left alone
+   *
+   * @static
+   * @param {Element|ShadowRoot} source - Original element or shadow root
+   * @param {Element|ShadowRoot} clone - Its deep clone
+   */
+  static copyShadowRoots(source, clone) {
+    const sources = [...source.querySelectorAll('*')];
+    const clones = [...clone.querySelectorAll('*')];
+    const isElement = (source.nodeType === Node.ELEMENT_NODE);
+    if (isElement) {
+      sources.unshift(source);
+      clones.unshift(clone);
+    }
+
+    // A custom element that rendered differently when cloned can't be matched up
+    const sameShape = (sources.length === clones.length);
+    if (!sameShape) return;
+
+    sources.forEach((original, i) => {
+      const shadow = original.shadowRoot;
+      const copy = clones[i];
+      const needsShadow = (shadow && !copy.shadowRoot);
+      if (!needsShadow) return;
+
+      const copiedShadow = copy.attachShadow({ mode: shadow.mode });
+      copiedShadow.adoptedStyleSheets = [...(shadow.adoptedStyleSheets || [])];
+      shadow.childNodes.forEach(node => copiedShadow.appendChild(node.cloneNode(true)));
+      DataDrag.copyShadowRoots(shadow, copiedShadow);
+    });
+  }
+
+  /**
+   * Create the stand-in that moves through the lists in placeholder mode
+   * It takes the item's size; a "placeholder" selector names a <template> to clone
+   *
+   * @param {HTMLElement} element - Item the placeholder stands in for
+   * @param {Object} options - Item options: placeholder and placeholderClass
+   * @returns {HTMLElement} Placeholder element
+   */
+  createPlaceholder(element, options) {
+    const rect = element.getBoundingClientRect();
+
+    const usesTemplate = (typeof options.placeholder === 'string');
+    const template = usesTemplate ? DataDrag.resolveContainer(element, options.placeholder) : null;
+    const templateElement = template?.content?.firstElementChild;
+    const placeholder = templateElement ? templateElement.cloneNode(true) : document.createElement(element.tagName);
+
+    placeholder.classList.add('data-drag-placeholder');
+    if (options.placeholderClass) {
+      placeholder.classList.add(options.placeholderClass);
+    }
+    placeholder.setAttribute('aria-hidden', 'true');
+    placeholder.style.boxSizing = 'border-box';
+    placeholder.style.width = `${rect.width}px`;
+    placeholder.style.height = `${rect.height}px`;
+
+    return placeholder;
+  }
+
+  /**
+   * Hide or show the real item while a placeholder stands in for it
+   * A copy drag leaves the original visible unless the placeholder is back in its list
+   *
+   * @param {Object} state - The active drag state
+   */
+  syncPlaceholder(state) {
+    const { item, placeholder } = state;
+    const isStandingIn = (placeholder?.isConnected && (!state.options.copy || placeholder.parentElement === state.parent));
+
+    item.classList.toggle('data-drag-hidden', !!isStandingIn);
+    item.style.display = isStandingIn ? 'none' : (state.itemDisplay ?? '');
+  }
+
+  /**
+   * Swap the placeholder for the real item (or its copy) at the end of a drag
+   * This is the only time the item moves in placeholder mode
+   *
+   * @param {Object} state - The active drag state
+   */
+  settlePlaceholder(state) {
+    const { item, placeholder } = state;
+    const isCopy = (state.options.copy && placeholder.parentElement !== state.parent);
+
+    state.placeholder = null;
+    this.syncPlaceholder(state);
+
+    // Dropped where it started: nothing needs to move
+    const isInPlace = (!isCopy && (placeholder.nextElementSibling === item || placeholder.previousElementSibling === item));
+    if (isInPlace) {
+      placeholder.remove();
+      return;
+    }
+
+    if (isCopy) {
+      state.copy = DataDrag.copyOf(item);
+      DataDrag.dispatchEvent(state.parent, 'cloned', {
+        original: item,
+        copy: state.copy
+      });
+    }
+
+    placeholder.replaceWith(state.copy || item);
+  }
+
+  /**
+   * Find the correct position to insert the dragged element
+   * Returns the element that should come after the insertion point
+   *
+   * @param {HTMLElement} container - Parent container
+   * @param {Object} options - Configuration options
+   * @param {number} clientX - Pointer X coordinate
+   * @param {number} clientY - Pointer Y coordinate
+   * @param {HTMLElement} dragElement - Element being dragged
+   * @returns {HTMLElement|null} Reference element for insertion, or null for end
+   */
+  findInsertPosition(container, options, clientX, clientY, dragElement) {
+    // Get all data-drag children except the dragged element and mirror
+    const children = DataDrag.draggableChildren(container)
+      .filter(child => child !== dragElement);
+
+    const direction = DataDrag.resolveDirection(container, options);
+    if (direction === 'grid') {
+      return this.findGridInsertPosition(container, children, clientX, clientY);
+    }
+
+    const isHorizontal = (direction === 'horizontal');
+    const isRightToLeft = (isHorizontal && DataDrag.isRightToLeft(container));
+
+    // Find first child whose midpoint is after the cursor
+    for (const child of children) {
+      const rect = child.getBoundingClientRect();
+
+      const midpoint = isHorizontal
+        ? rect.left + rect.width / 2
+        : rect.top + rect.height / 2;
+
+      const coordinate = isHorizontal ? clientX : clientY;
+
+      // Right-to-left rows run the other way
+      const cursorBeforeMidpoint = isRightToLeft ? (coordinate > midpoint) : (coordinate < midpoint);
+      if (cursorBeforeMidpoint) {
+        return child;
+      }
+    }
+
+    // No child found means insert at end
+    return null;
+  }
+
+  /**
+   * Find the insertion point in a grid or wrapping layout
+   * Picks the row under the cursor first, then the column within that row
+   *
+   * @param {HTMLElement} container - Parent container
+   * @param {Array<HTMLElement>} children - Draggable children, without the dragged element
+   * @param {number} clientX - Pointer X coordinate
+   * @param {number} clientY - Pointer Y coordinate
+   * @returns {HTMLElement|null} Reference element for insertion, or null for end
+   */
+  findGridInsertPosition(container, children, clientX, clientY) {
+    const rows = DataDrag.gridRows(children);
+
+    // The first row that reaches below the cursor; none means past the last row
+    const rowIndex = rows.findIndex(row => clientY < row.bottom);
+    if (rowIndex === -1) return null;
+
+    const row = rows[rowIndex];
+    const isAboveRow = (clientY < row.top);
+    if (isAboveRow) return row.cells[0].element;
+
+    const isRightToLeft = DataDrag.isRightToLeft(container);
+    for (const { element, rect } of row.cells) {
+      const midpoint = rect.left + rect.width / 2;
+      const cursorBeforeMidpoint = isRightToLeft ? (clientX > midpoint) : (clientX < midpoint);
+      if (cursorBeforeMidpoint) {
+        return element;
+      }
+    }
+
+    // Past the end of the row: go before whatever starts the next one
+    const nextRow = rows[rowIndex + 1];
+    return nextRow ? nextRow.cells[0].element : null;
+  }
+
+  /**
+   * Remove all drag-related classes and styles from an element
+   * Cleanup function to restore element to normal state
+   *
+   * @param {HTMLElement} element - Element to clean up
+   */
+  cleanupElement(element) {
+    if (!element) return;
+
+    element.classList.remove('data-drag-dragging');
+    element.setAttribute('aria-grabbed', 'false');
+    element.style.opacity = '';
+    element.style.transition = '';
+    element.style.transform = '';
+  }
+
+  /**
+   * Animate element from old position to new position
+   * Uses FLIP technique: measure before/after, then animate the difference
+   *
+   * @param {HTMLElement} element - Element to animate
+   * @param {DOMRect} fromRect - Original bounding rectangle
+   * @param {DOMRect} toRect - New bounding rectangle
+   * @param {number} duration - Animation duration in milliseconds
+   * @returns {boolean} True if an animation was started
+   */
+  animateInsertion(element, fromRect, toRect, duration) {
+    const deltaX = fromRect.left - toRect.left;
+    const deltaY = fromRect.top - toRect.top;
+
+    // A newer animation replaces one that hasn't started yet
+    cancelAnimationFrame(DataDrag.animationFrames.get(element));
+
+    const hasNotMoved = (deltaX === 0 && deltaY === 0);
+    const shouldSkip = (hasNotMoved || !duration || DataDrag.prefersReducedMotion());
+    if (shouldSkip) return false;
+
+    // Start at old position (transformed)
+    element.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
+    element.style.transition = 'none';
+
+    // Animate to new position (no transform), then leave no inline styles behind
+    const frame = requestAnimationFrame(() => {
+      element.style.transition = `transform ${duration}ms ease`;
+      element.style.transform = 'translate(0, 0)';
+
+      // Transitions of children bubble up and other properties end separately, so only ours counts
+      const handleTransitionEnd = (event) => {
+        const isOwnTransform = (event.target === element && event.propertyName === 'transform');
+        if (!isOwnTransform) return;
+
+        element.removeEventListener('transitionend', handleTransitionEnd);
+        const isSettled = (element.style.transform === 'translate(0, 0)' || element.style.transform === 'translate(0px, 0px)');
+        if (isSettled) {
+          element.style.transition = '';
+          element.style.transform = '';
+        }
+      };
+      element.addEventListener('transitionend', handleTransitionEnd);
+    });
+    DataDrag.animationFrames.set(element, frame);
+
+    return true;
+  }
+
+  /**
+   * Measure the draggable children of some containers before they reflow
+   * Rectangles include any animation still running, so an interrupted
+   * animation continues from where the element is on screen
+   *
+   * @param {Array<HTMLElement|null>} containers - Containers to measure (null entries are skipped)
+   * @returns {Map<HTMLElement, DOMRect>} Rectangle of every measured element
+   */
+  measureSiblings(containers) {
+    const rects = new Map();
+
+    new Set(containers.filter(Boolean)).forEach(container => {
+      DataDrag.draggableChildren(container)
+        .forEach(child => rects.set(child, child.getBoundingClientRect()));
+    });
+
+    return rects;
+  }
+
+  /**
+   * Animate measured elements from where they were to where they are now
+   * Every element is reset before any is measured, so half-finished
+   * transforms don't skew the new layout
+   *
+   * @param {Map<HTMLElement, DOMRect>} rects - Result of measureSiblings
+   * @param {number} duration - Animation duration in milliseconds (0 = none)
+   */
+  animateSiblings(rects, duration) {
+    const shouldAnimate = (duration && !DataDrag.prefersReducedMotion());
+    if (!shouldAnimate) return;
+
+    const elements = [...rects.keys()].filter(element => element.isConnected);
+    elements.forEach(element => {
+      element.style.transition = 'none';
+      element.style.transform = '';
+    });
+
+    const targets = elements.map(element => element.getBoundingClientRect());
+    elements.forEach((element, i) => {
+      const isAnimating = this.animateInsertion(element, rects.get(element), targets[i], duration);
+      if (!isAnimating) {
+        element.style.transition = '';
+      }
+    });
+  }
+
+  /**
+   * Start listening to the document for the rest of a gesture
+   * Pointer listeners follow the pointer anywhere on the page; the touch
+   * listener is non-passive so it may stop the page from scrolling
+   */
+  addDragListeners() {
+    document.addEventListener('pointermove', this.handlePointerMove);
+    document.addEventListener('pointerup', this.handlePointerUp);
+    document.addEventListener('pointercancel', this.handlePointerCancel);
+    document.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+    document.addEventListener('contextmenu', this.handleContextMenu);
+    document.addEventListener('keydown', this.handleEscapeKey);
+    document.addEventListener('dragover', this.handleDragOver);
+    document.addEventListener('drop', this.handleDrop);
+    document.addEventListener('dragend', this.handleDragEnd);
+  }
+
+  /**
+   * Stop listening to the document once a gesture is over
+   */
+  removeDragListeners() {
+    document.removeEventListener('pointermove', this.handlePointerMove);
+    document.removeEventListener('pointerup', this.handlePointerUp);
+    document.removeEventListener('pointercancel', this.handlePointerCancel);
+    document.removeEventListener('touchmove', this.handleTouchMove, { passive: false });
+    document.removeEventListener('contextmenu', this.handleContextMenu);
+    document.removeEventListener('keydown', this.handleEscapeKey);
+    document.removeEventListener('dragover', this.handleDragOver);
+    document.removeEventListener('drop', this.handleDrop);
+    document.removeEventListener('dragend', this.handleDragEnd);
+  }
+
+  /**
+   * Clear drag state and stop tracking the gesture
+   * Shared by every path that ends a gesture (drop, cancel, click, scroll, destroy)
+   *
+   * @param {Object} state - The drag state being finished
+   */
+  resetDragState(state) {
+    if (state.placeholder) {
+      state.placeholder.remove();
+      state.placeholder = null;
+      this.syncPlaceholder(state);
+    }
+
+    this.revealFollowers(state);
+    this.setMergeTarget(state, null);
+    this.setSwapTarget(state, null);
+    this.removeDragListeners();
+    clearTimeout(state.armTimer);
+    clearTimeout(state.expandTimer);
+    cancelAnimationFrame(state.scrollFrame);
+    state.item.classList.remove('data-drag-armed');
+    state.touchActions?.forEach(([surface, value]) => { surface.style.touchAction = value; });
+    this.clearCandidates(state);
+
+    // Give the pointer back to the browser if we captured it
+    if (state.captureTarget) {
+      try {
+        state.captureTarget.releasePointerCapture(state.pointerId);
+      } catch (e) {
+        // Capture was already released (pointerup, element removed)
+      }
+    }
+
+    DataDrag.globalDragState = null;
+    this.dragState = null;
+  }
+
+  /**
+   * Arm a touch gesture once the long-press delay has elapsed
+   * From now on finger movement drags the item instead of scrolling the page
+   */
+  armDrag() {
+    const state = DataDrag.globalDragState;
+    if (!state) return;
+
+    state.isArmed = true;
+    state.item.classList.add('data-drag-armed');
+
+    // The finger drags from now on, so the browser shouldn't pan with it
+    state.touchActions = DataDrag.touchSurfaces(state.item, state.options)
+      .map(surface => [surface, surface.style.touchAction]);
+    state.touchActions.forEach(([surface]) => { surface.style.touchAction = 'none'; });
+  }
+
+  /**
+   * Find the elements a touch drag starts from: the item's handles, or the item itself
+   *
+   * @static
+   * @param {HTMLElement} item - Draggable item
+   * @param {Object} options - The item's options
+   * @returns {Array<HTMLElement>} Handles, or the item
+   */
+  static touchSurfaces(item, options) {
+    const hasHandle = (options.handle !== null);
+    return hasHandle ? Array.from(item.querySelectorAll(options.handle)) : [item];
+  }
+
+  /**
+   * Handle pointer down event - start of potential drag
+   * Validates drag handle, finds parent, and sets up drag state
+   * Works the same for mouse, pen and touch input
+   *
+   * @param {PointerEvent} event - Pointer down event
+   */
+  handlePointerDown(event) {
+    // Pressing anywhere puts back an item picked up with the keyboard
+    const keyboardState = DataDrag.globalDragState;
+    const isKeyboardDrag = (keyboardState?.mode === 'keyboard');
+    if (isKeyboardDrag) {
+      keyboardState.sourceInstance.cancelDrag(keyboardState, 'blur');
+    }
+
+    // Pens and touch contacts report button 0 just like the left mouse button
+    const isPrimaryButton = (event.button === 0 && event.isPrimary !== false);
+    if (!isPrimaryButton) return;
+
+    const alreadyDragging = (DataDrag.globalDragState !== null);
+    if (alreadyDragging) return;
+
+    // Find the data-drag item that was clicked
+    const item = DataDrag.findInPath(event, '[data-drag]');
+    if (!item) return;
+
+    // Locked while its last drop is being validated
+    const isPending = DataDrag.pendingItems.has(item);
+    if (isPending) return;
+
+    // Find the data-drag parent container
+    const parent = DataDrag.findInPath(event, '[data-drag-parent]');
+    if (!parent) return;
+
+    // Check configuration for this item, on top of what its container sets
+    const options = DataDrag.parseOptions(item, DataDrag.inheritedOptions(parent));
+
+    // If handle is specified, ensure click was on handle
+    const requiresHandle = (options.handle !== null);
+    if (requiresHandle) {
+      const clickedHandle = DataDrag.findInPath(event, options.handle);
+      if (!clickedHandle) return;
+    }
+
+    // The browser runs native drags itself, handleDragStart takes over from dragstart
+    const usesNativeImage = (options.mirror === 'native');
+    if (usesNativeImage) return;
+
+    // Calculate offset from item's top-left corner to cursor
+    const rect = item.getBoundingClientRect();
+    const offsetX = event.clientX - rect.left;
+    const offsetY = event.clientY - rect.top;
+
+    // Touch needs a long press so a normal swipe still scrolls the page
+    const isTouch = (event.pointerType === 'touch');
+    const needsLongPress = (isTouch && options.touchDelay > 0);
+
+    // Initialize drag state
+    this.dragState = {
+      item,
+      parent,
+      options,
+      offsetX,
+      offsetY,
+      startX: event.clientX,
+      startY: event.clientY,
+      mirror: null,
+      copy: null,
+      mode: 'pointer',
+      isDragging: false,
+      isArmed: !needsLongPress,
+      armTimer: null,
+      pointerId: event.pointerId,
+      pointerType: event.pointerType,
+      captureTarget: null,
+      sourceInstance: this
+    };
+
+    // Store in global state for cross-root coordination
+    DataDrag.globalDragState = this.dragState;
+
+    if (needsLongPress) {
+      this.dragState.armTimer = setTimeout(() => this.armDrag(), options.touchDelay);
+    }
+
+    // Set up event listeners for drag operation
+    this.addDragListeners();
+
+    // Mouse and pen: prevent text selection. Touch keeps its default so it can still scroll.
+    if (!isTouch) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Handle pointer move event - track pointer and update drag state
+   * Starts the drag once the pointer has moved far enough
+   *
+   * @param {PointerEvent} event - Pointer move event
+   */
+  handlePointerMove(event) {
+    const state = DataDrag.globalDragState;
+    if (!state) return;
+
+    // Ignore other fingers or pens while a gesture is in progress
+    const isTrackedPointer = (event.pointerId === state.pointerId);
+    if (!isTrackedPointer) return;
+
+    // Calculate distance moved from start
+    const distanceMoved = Math.hypot(
+      event.clientX - state.startX,
+      event.clientY - state.startY
+    );
+
+    const waitingForLongPress = !state.isArmed;
+    if (waitingForLongPress) {
+      // Moving before the long press completes means the user is scrolling
+      const isScrolling = (distanceMoved >= 5);
+      if (isScrolling) this.resetDragState(state);
+      return;
+    }
+
+    const notYetDragging = !state.isDragging;
+    if (notYetDragging) {
+      // Require minimum movement before starting drag (prevents accidental drags)
+      const meetsThreshold = (distanceMoved >= 5);
+      if (!meetsThreshold) return;
+
+      const started = this.beginDrag(state);
+      if (!started) return;
+
+      // Capture on the source container: it stays put while the item itself moves around,
+      // so the pointer keeps reporting to us even outside the window
+      try {
+        state.parent.setPointerCapture(state.pointerId);
+        state.captureTarget = state.parent;
+      } catch (e) {
+        // Pointer is already gone, the next pointerup/pointercancel ends the drag
+      }
+    }
+
+    this.updateDrag(state, event.clientX, event.clientY);
+  }
+
+  /**
+   * Begin a drag - apply drag visuals and announce the start
+   * Shared by pointer and keyboard drags; only pointer drags get a mirror
+   * A listener calling preventDefault() on datadrag:start aborts the drag
+   *
+   * @param {Object} state - The drag state being started
+   * @returns {boolean} True if the drag started
+   */
+  beginDrag(state) {
+    state.isDragging = true;
+
+    // Remember where the item came from so a cancel can put it back
+    const originParent = state.item.parentElement;
+    state.origin = {
+      parent: originParent,
+      ...DataDrag.indexesOf(state.item),
+      rect: state.item.getBoundingClientRect()
+    };
+    state.displaced = [];
+    state.ruleResults = new Map();
+    state.branchHeights = new Map([[state.item, DataDrag.branchHeight(state.item)]]);
+    state.expanded = [];
+
+    // A group that only lends its items out turns the drag into a copy
+    const pullsClones = (Group.of(state.parent).pull === 'clone');
+    if (pullsClones) {
+      state.options = { ...state.options, copy: true };
+    }
+
+    // Dragging a selected item takes the rest of the selection along
+    this.gatherFollowers(state);
+
+    // Items grabbed again while their last drop settles skip to the end of it
+    state.groupItems.forEach(element => DataDrag.settling.get(element)?.());
+
+    // Initialize drag visuals
+    const followsPointer = (state.mode === 'pointer');
+    if (followsPointer) {
+      // A fixed offset moves the preview so the pointer holds it at that point
+      const { mirrorOffset } = state.options;
+      if (mirrorOffset) {
+        [state.offsetX, state.offsetY] = mirrorOffset;
+      }
+      const offset = { x: state.offsetX, y: state.offsetY };
+      state.mirror = this.createMirror(state.item, state.options, state.count, offset);
+    }
+    state.item.classList.add('data-drag-dragging');
+    state.item.setAttribute('aria-grabbed', 'true');
+
+    // The browser snapshots its drag image after dragstart, so fade the item afterwards
+    const isNative = (state.mode === 'native');
+    if (isNative) {
+      setTimeout(() => {
+        const stillDragging = (DataDrag.globalDragState === state);
+        if (stillDragging) state.item.style.opacity = '0.4';
+      });
+    } else {
+      state.item.style.opacity = '0.4';
+    }
+
+    const allowed = DataDrag.dispatchEvent(state.parent, 'start', {
+      item: state.item,
+      items: state.groupItems,
+      parent: state.parent,
+      ...DataDrag.indexDetail(state.origin, state.origin)
+    });
+
+    if (!allowed) {
+      // Vetoed: undo the visuals, nothing has moved yet
+      DataDrag.removeMirror(state.mirror);
+      this.cleanupElement(state.item);
+      this.resetDragState(state);
+      return false;
+    }
+
+    const isGroupDrag = (state.count > 1);
+    DataDrag.announce(state.parent, isGroupDrag ? 'pickupMany' : 'pickup', state.item, { count: state.count });
+
+    // Placeholder mode: a stand-in moves through the lists, the item waits hidden
+    const usesPlaceholder = (followsPointer && state.options.placeholder && state.options.mode !== 'swap');
+    if (usesPlaceholder) {
+      state.itemDisplay = state.item.style.display;
+      state.placeholder = this.createPlaceholder(state.item, state.options);
+      state.item.before(state.placeholder);
+      this.syncPlaceholder(state);
+    }
+
+    this.markCandidates(state);
+    this.setHoverParent(state, state.parent);
+    return true;
+  }
+
+  /**
+   * Take the rest of the selection along when a selected item is dragged
+   * The other items (followers) hide where they are until the drop gathers them
+   * around the dragged item; items waiting on validation or nested in each other stay
+   *
+   * @param {Object} state - The drag state being started
+   */
+  gatherFollowers(state) {
+    const { item } = state;
+    const isSwap = (state.options.mode === 'swap');
+    const isGroupDrag = (state.options.select && !isSwap && DataDrag.selection.has(item));
+    const selected = isGroupDrag ? DataDrag.selection.items() : [item];
+
+    state.groupItems = selected.filter(element => {
+      if (element === item) return true;
+
+      const isPending = DataDrag.pendingItems.has(element);
+      const isNested = (element.contains(item) || item.contains(element));
+      const hasContainer = !!DataDrag.findParentInTree(element.parentElement, '[data-drag-parent]');
+      return !isPending && !isNested && hasContainer;
+    });
+    state.followers = state.groupItems.filter(element => element !== item);
+    state.count = state.groupItems.length;
+
+    state.followerDisplay = new Map();
+    state.followers.forEach(follower => {
+      state.followerDisplay.set(follower, follower.style.display);
+      follower.classList.add('data-drag-hidden');
+      follower.style.display = 'none';
+    });
+  }
+
+  /**
+   * Show the followers again where they were left
+   *
+   * @param {Object} state - The active drag state
+   */
+  revealFollowers(state) {
+    state.followerDisplay?.forEach((display, follower) => {
+      follower.classList.remove('data-drag-hidden');
+      follower.style.display = display;
+    });
+    state.followerDisplay?.clear();
+  }
+
+  /**
+   * Gather the followers around the dropped item, keeping their document order
+   * Each follower is checked on its own: groups, access and accept rules and the
+   * container's max must let it in (no push or swap), otherwise it stays where it was.
+   * Its own copy option decides whether it moves or is copied
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement} activeElement - The dropped item (or its copy)
+   * @param {HTMLElement} finalParent - Container it was dropped in
+   * @returns {Array<Object>} Moved followers: { element, origin, isCopy, attributesBefore }
+   */
+  dropFollowers(state, activeElement, finalParent) {
+    this.revealFollowers(state);
+    if (!state.followers.length) return [];
+
+    const leadPosition = state.groupItems.indexOf(state.item);
+    const origins = new Map(state.followers.map(follower => [follower, {
+      parent: follower.parentElement,
+      ...DataDrag.indexesOf(follower)
+    }]));
+    const rects = this.measureSiblings([finalParent, ...state.followers.map(follower => follower.parentElement)]);
+
+    const moves = [];
+    let anchor = activeElement;
+    state.followers.forEach(follower => {
+      const source = follower.parentElement;
+      const isBefore = (state.groupItems.indexOf(follower) < leadPosition);
+      const reference = isBefore ? activeElement : anchor.nextElementSibling;
+
+      const followerOptions = DataDrag.parseOptions(follower, DataDrag.inheritedOptions(source));
+      const isDifferentParent = (source !== finalParent);
+      const isCopy = (isDifferentParent && (followerOptions.copy || Group.of(source).pull === 'clone'));
+
+      // Asked as if it were dragged alone, with rule results of its own
+      const followerState = { ...state, item: follower, parent: source, ruleResults: new Map() };
+      const index = DataDrag.proposedIndex(finalParent, reference, follower);
+      const denial = DataDrag.findDenial(finalParent, followerState, index);
+      const capacity = DataDrag.checkCapacity(finalParent, reference, isCopy ? null : source, follower.nextSibling);
+      const fits = (capacity.allowed && !capacity.victim);
+      if (denial || !fits) return;
+
+      const element = isCopy ? DataDrag.copyOf(follower) : follower;
+      if (isCopy) {
+        DataDrag.dispatchEvent(source, 'cloned', { original: follower, copy: element });
+      }
+      finalParent.insertBefore(element, reference);
+      if (!isBefore) anchor = element;
+
+      const adoptedNames = Object.keys(DataDrag.parseParentOptions(finalParent)?.adopted || {});
+      const attributesBefore = DataDrag.snapshotAttributes(element, adoptedNames);
+      if (isDifferentParent) {
+        DataDrag.applyAdoption(element, finalParent);
+      }
+
+      moves.push({ element, origin: origins.get(follower), isCopy, attributesBefore });
+
+      // A moved follower goes home with the rest of the displaced items on a veto or rollback
+      if (!isCopy) {
+        state.displaced.push({ element, origin: origins.get(follower), cause: finalParent });
+      }
+    });
+
+    // Followers slide over from where they were
+    this.animateSiblings(rects, state.options.animation);
+    return moves;
+  }
+
+  /**
+   * Undo what dropFollowers did beyond moving: adoption and copies
+   * Moved originals are put back with the displaced items
+   *
+   * @static
+   * @param {Array<Object>} moves - Result of dropFollowers
+   */
+  static undoFollowers(moves) {
+    moves.forEach(({ element, isCopy, attributesBefore }) => {
+      DataDrag.restoreAttributes(element, attributesBefore);
+      if (isCopy) element.remove();
+    });
+  }
+
+  /**
+   * Flag every container as a valid or forbidden target for this drag
+   * Adds data-drag-can-drop or data-drag-denied so pages can highlight targets
+   *
+   * @param {Object} state - The active drag state
+   */
+  markCandidates(state) {
+    state.candidates = DataDrag.findAllParents();
+
+    state.candidates.forEach(candidate => {
+      const canDrop = (this.canDropInto(candidate, state) && this.hasRoomFor(candidate, state));
+      candidate.classList.toggle('data-drag-can-drop', canDrop);
+      candidate.classList.toggle('data-drag-denied', !canDrop);
+    });
+  }
+
+  /**
+   * Remove the candidate and hover classes once a drag is over
+   *
+   * @param {Object} state - The finished drag state
+   */
+  clearCandidates(state) {
+    this.setHoverParent(state, null);
+
+    (state.candidates || []).forEach(candidate => {
+      candidate.classList.remove('data-drag-can-drop', 'data-drag-denied');
+    });
+    state.candidates = null;
+  }
+
+  /**
+   * Track the container under the pointer (or keyboard focus)
+   * Fires datadrag:leave and datadrag:enter when it changes and a throttled
+   * datadrag:over while it stays the same
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement|null} parent - Container now being hovered
+   * @param {number} [clientX] - Pointer X coordinate (pointer drags only)
+   * @param {number} [clientY] - Pointer Y coordinate (pointer drags only)
+   */
+  setHoverParent(state, parent, clientX = null, clientY = null) {
+    const previous = state.overParent || null;
+    const hasChanged = (parent !== previous);
+
+    if (hasChanged) {
+      if (previous) {
+        previous.classList.remove('data-drag-over');
+        DataDrag.dispatchEvent(previous, 'leave', {
+          item: state.item,
+          parent: previous
+        });
+      }
+
+      state.overParent = parent;
+      state.lastOverTime = 0;
+
+      if (parent) {
+        parent.classList.add('data-drag-over');
+        DataDrag.dispatchEvent(parent, 'enter', {
+          item: state.item,
+          parent,
+          allowed: this.canDropInto(parent, state)
+        });
+      }
+    }
+
+    if (!parent) return;
+
+    const now = Date.now();
+    const isDue = (now - state.lastOverTime >= DataDrag.overInterval);
+    if (isDue) {
+      state.lastOverTime = now;
+      DataDrag.dispatchEvent(parent, 'over', {
+        item: state.item,
+        parent,
+        allowed: this.canDropInto(parent, state),
+        clientX,
+        clientY
+      });
+    }
+  }
+
+  /**
+   * Update a pointer drag - move the mirror and live-insert the item
+   * under the pointer position
+   *
+   * @param {Object} state - The active drag state
+   * @param {number} clientX - Pointer X coordinate
+   * @param {number} clientY - Pointer Y coordinate
+   */
+  updateDrag(state, clientX, clientY) {
+    state.clientX = clientX;
+    state.clientY = clientY;
+
+    // Native drags have no mirror, the browser draws the drag image
+    const { mirror } = state;
+    if (mirror) {
+      // Update mirror position to follow cursor
+      const mirrorX = clientX - state.offsetX;
+      const mirrorY = clientY - state.offsetY;
+      mirror.style.left = `${mirrorX}px`;
+      mirror.style.top = `${mirrorY}px`;
+
+      // Find drop target by hiding mirror and checking element at cursor
+      mirror.style.display = 'none';
+    }
+    let dropParent = DataDrag.findDropParent(clientX, clientY);
+    const hoveredItem = DataDrag.findAtPoint(clientX, clientY, '[data-drag]');
+    if (mirror) mirror.style.display = '';
+
+    // Over its own nested lists, a branch stays in the list it sits in
+    const activeElement = state.placeholder || state.copy || state.item;
+    const isOverItself = (dropParent && activeElement.contains(dropParent));
+    if (isOverItself) {
+      dropParent = DataDrag.findParentInTree(activeElement.parentElement, '[data-drag-parent]');
+    }
+
+    this.setHoverParent(state, dropParent, clientX, clientY);
+    this.scheduleAutoScroll(state);
+    this.trackExpandHover(state, hoveredItem);
+
+    // Over the centre of an item that takes drops, the item itself is the target
+    this.setMergeTarget(state, this.findMergeTarget(state, hoveredItem, clientX, clientY));
+    if (state.mergeTarget) return;
+
+    // Swap mode leaves everything in place until the drop, and only marks the item to trade with
+    const isSwap = (state.options.mode === 'swap');
+    if (isSwap) {
+      this.setSwapTarget(state, DataDrag.findSwapTarget(state, hoveredItem, dropParent));
+      return;
+    }
+
+    const noValidDropTarget = !dropParent;
+    if (noValidDropTarget) return;
+
+    // Find where to insert in the target container, a tree may shift it a few levels
+    const reference = this.findInsertPosition(
+      dropParent,
+      state.options,
+      clientX,
+      clientY,
+      activeElement
+    );
+    const target = this.projectIndent(state, dropParent, reference, clientX);
+    const index = DataDrag.proposedIndex(target.parent, target.reference, activeElement);
+
+    // Check groups and access control rules, reporting once per container
+    const denial = DataDrag.findDenial(target.parent, state, index);
+    if (denial) {
+      this.reportDenial(state, target.parent, denial, index);
+      return;
+    }
+    state.deniedParent = null;
+
+    this.placeItem(state, target.parent, target.reference);
+  }
+
+  /**
+   * Work out the tree level of a pointer drag in a tree with an "indent" option
+   * Every indent width the preview sits right of the list's items takes the item
+   * a level deeper, every width left of them a level shallower (mirrored in
+   * right-to-left trees). A level the rules refuse falls back to the list under the pointer
+   *
+   * @param {Object} state - The active pointer drag state
+   * @param {HTMLElement} dropParent - Container under the pointer
+   * @param {HTMLElement|null} reference - Insertion point in that container
+   * @param {number} clientX - Pointer X coordinate
+   * @returns {Object} { parent, reference } to place the item at
+   */
+  projectIndent(state, dropParent, reference, clientX) {
+    const unchanged = { parent: dropParent, reference };
+    const indent = DataDrag.treeSetting(dropParent, 'indent')?.value;
+    const followsPointer = (state.mode === 'pointer');
+    if (!(indent > 0) || !followsPointer) return unchanged;
+
+    // Where items of this level start, against where the preview starts
+    const activeElement = state.placeholder || state.copy || state.item;
+    const levelRect = (DataDrag.draggableChildren(dropParent)[0] || dropParent).getBoundingClientRect();
+    const previewLeft = clientX - state.offsetX;
+    const offset = DataDrag.isRightToLeft(dropParent)
+      ? levelRect.right - (previewLeft + state.origin.rect.width)
+      : previewLeft - levelRect.left;
+
+    const shift = Math.round(offset / indent);
+    if (!shift) return unchanged;
+
+    const target = DataDrag.shiftLevel(dropParent, reference, activeElement, shift);
+    const hasMoved = (target.parent !== dropParent);
+    if (!hasMoved) return unchanged;
+
+    const index = DataDrag.proposedIndex(target.parent, target.reference, activeElement);
+    const isRefused = !this.canDropInto(target.parent, state, index);
+    return isRefused ? unchanged : target;
+  }
+
+  /**
+   * Find the item the pointer targets for a merge, if any
+   * The item needs the "merge" option and the pointer must be inside its centre zone:
+   * "mergeZone" of its height in vertical lists, of its width in horizontal ones
+   * and of both in grids. A tree item's zone covers its own row, not its children
+   *
+   * @param {Object} state - The active pointer drag state
+   * @param {HTMLElement|null} hoveredItem - Item under the pointer
+   * @param {number} clientX - Pointer X coordinate
+   * @param {number} clientY - Pointer Y coordinate
+   * @returns {HTMLElement|null} Item to drop onto, or null to sort as usual
+   */
+  findMergeTarget(state, hoveredItem, clientX, clientY) {
+    const activeElement = state.placeholder || state.copy || state.item;
+    const isOtherItem = (hoveredItem && hoveredItem !== state.item && !activeElement.contains(hoveredItem));
+    if (!isOtherItem) return null;
+
+    const container = DataDrag.findParentInTree(hoveredItem.parentElement, '[data-drag-parent]');
+    if (!container) return null;
+
+    const options = DataDrag.parseOptions(hoveredItem, DataDrag.inheritedOptions(container));
+    if (!options.merge) return null;
+
+    const rect = hoveredItem.getBoundingClientRect();
+    const list = DataDrag.childList(hoveredItem);
+    const listTop = list ? list.getBoundingClientRect().top : rect.bottom;
+    const hasVisibleChildren = (list && listTop > rect.top && listTop < rect.bottom);
+    const bottom = hasVisibleChildren ? listTop : rect.bottom;
+
+    // The zone is centred, with the rest split evenly between the two edges
+    const margin = (1 - Math.min(Math.max(options.mergeZone, 0), 1)) / 2;
+    const width = rect.right - rect.left;
+    const height = bottom - rect.top;
+    const isInsideX = (clientX >= rect.left + width * margin && clientX <= rect.right - width * margin);
+    const isInsideY = (clientY >= rect.top + height * margin && clientY <= bottom - height * margin);
+
+    const direction = DataDrag.resolveDirection(container, options);
+    const isInZone = {
+      vertical: isInsideY,
+      horizontal: isInsideX,
+      grid: (isInsideX && isInsideY)
+    }[direction];
+
+    return isInZone ? hoveredItem : null;
+  }
+
+  /**
+   * Make an item the merge target, or clear it with null
+   * The item's container must let the dragged item in, by the same rules as a
+   * drop, then datadrag:merge asks the item's listeners once per visit;
+   * preventDefault() refuses and the pointer sorts around the item instead.
+   * An accepted target gets the data-drag-merge class until the pointer leaves its zone
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement|null} candidate - Item in the zone, or null
+   */
+  setMergeTarget(state, candidate) {
+    const isSameCandidate = (candidate === (state.mergeCandidate || null));
+    if (isSameCandidate) return;
+
+    state.mergeCandidate = candidate;
+    state.mergeTarget?.classList.remove('data-drag-merge');
+    state.mergeTarget = null;
+    if (!candidate) return;
+
+    const container = DataDrag.findParentInTree(candidate.parentElement, '[data-drag-parent]');
+    const index = DataDrag.draggableChildren(container).indexOf(candidate);
+    const denial = DataDrag.findDenial(container, state, index);
+    if (denial) {
+      this.reportDenial(state, container, denial, index);
+      return;
+    }
+
+    const allowed = DataDrag.dispatchEvent(candidate, 'merge', {
+      item: state.item,
+      items: state.groupItems,
+      target: candidate,
+      parent: container
+    });
+    if (!allowed) return;
+
+    state.mergeTarget = candidate;
+    candidate.classList.add('data-drag-merge');
+    DataDrag.announce(container, 'merge', state.item, { target: Announcer.labelFor(candidate, 'item') });
+  }
+
+  /**
+   * Find what a swap-mode drag would trade places with
+   * The item under the pointer, or an empty container that simply takes the item.
+   * Items nested in the dragged item, or holding it, are never swap targets
+   *
+   * @static
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement|null} hoveredItem - Item under the pointer
+   * @param {HTMLElement|null} dropParent - Container under the pointer
+   * @returns {HTMLElement|null} Item or empty container, or null
+   */
+  static findSwapTarget(state, hoveredItem, dropParent) {
+    const { item } = state;
+    const isOtherItem = (hoveredItem && !hoveredItem.contains(item) && !item.contains(hoveredItem));
+    const isInContainer = (isOtherItem && hoveredItem.parentElement?.matches('[data-drag-parent]'));
+    if (isInContainer) {
+      // Without sort the item keeps its place among its own siblings
+      const isSameParent = (hoveredItem.parentElement === state.parent);
+      return (isSameParent && !state.options.sort) ? null : hoveredItem;
+    }
+
+    const isEmptySlot = (!hoveredItem && dropParent && DataDrag.draggableChildren(dropParent).length === 0);
+    return isEmptySlot ? dropParent : null;
+  }
+
+  /**
+   * Work out why the dragged item can't trade places with a target, if it can't
+   * The item must be allowed into the target's container and the target into the
+   * item's, by the same cycle, depth, group, access and accept checks as a drop.
+   * An empty container only needs to take the item, and to have room for it
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement} target - Item or empty container to swap with
+   * @returns {Object|null} { parent, denial, index } or null if the swap is allowed;
+   *   denial is null when only the container's capacity refuses
+   */
+  findSwapDenial(state, target) {
+    const isEmptySlot = !target.hasAttribute('data-drag');
+    const targetParent = isEmptySlot ? target : target.parentElement;
+    const index = isEmptySlot ? 0 : DataDrag.draggableChildren(targetParent).indexOf(target);
+
+    const denial = DataDrag.findDenial(targetParent, state, index);
+    if (denial) return { parent: targetParent, denial, index };
+
+    if (isEmptySlot) {
+      const hasRoom = DataDrag.checkCapacity(targetParent, null, state.parent, state.item.nextSibling).allowed;
+      return hasRoom ? null : { parent: targetParent, denial: null, index };
+    }
+
+    // The target travels the other way, under its own options and rule cache
+    const isSameParent = (targetParent === state.parent);
+    if (isSameParent) return null;
+
+    const targetState = {
+      ...state,
+      item: target,
+      parent: targetParent,
+      copy: null,
+      placeholder: null,
+      options: DataDrag.parseOptions(target, DataDrag.inheritedOptions(targetParent)),
+      ruleResults: new Map()
+    };
+    const reverse = DataDrag.findDenial(state.parent, targetState, state.origin.draggableIndex);
+    return reverse ? { parent: state.parent, denial: reverse, index: state.origin.draggableIndex } : null;
+  }
+
+  /**
+   * Make an item (or empty container) the swap target, or clear it with null
+   * An accepted target gets the data-drag-swap class; a refused one is reported once per visit
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement|null} candidate - Item or empty container, or null
+   */
+  setSwapTarget(state, candidate) {
+    const isSameCandidate = (candidate === (state.swapCandidate || null));
+    if (isSameCandidate) return;
+
+    state.swapCandidate = candidate;
+    state.swapTarget?.classList.remove('data-drag-swap');
+    state.swapTarget = null;
+    if (!candidate) return;
+
+    const refusal = this.findSwapDenial(state, candidate);
+    if (refusal?.denial) {
+      state.deniedParent = null;
+      this.reportDenial(state, refusal.parent, refusal.denial, refusal.index);
+      return;
+    }
+    if (refusal) {
+      DataDrag.announce(refusal.parent, 'denied', state.item);
+      return;
+    }
+
+    state.swapTarget = candidate;
+    candidate.classList.add('data-drag-swap');
+
+    const isEmptySlot = !candidate.hasAttribute('data-drag');
+    const container = isEmptySlot ? candidate : candidate.parentElement;
+    const target = Announcer.labelFor(candidate, isEmptySlot ? 'the list' : 'item', !isEmptySlot);
+    DataDrag.announce(container, 'swap', state.item, { target });
+  }
+
+  /**
+   * Start or stop the auto-expand timer as the pointer moves over tree items
+   * Resting on a collapsed item for the tree's "expandDelay" opens it; trees that
+   * only set "indent" wait 600ms
+   *
+   * @param {Object} state - The active pointer drag state
+   * @param {HTMLElement|null} hoveredItem - Item under the pointer
+   */
+  trackExpandHover(state, hoveredItem) {
+    const activeElement = state.placeholder || state.copy || state.item;
+    const isOtherItem = (hoveredItem && !activeElement.contains(hoveredItem));
+    const target = (isOtherItem && DataDrag.isCollapsed(hoveredItem)) ? hoveredItem : null;
+
+    const isSameTarget = (target === state.expandTarget);
+    if (isSameTarget) return;
+
+    clearTimeout(state.expandTimer);
+    state.expandTarget = target;
+    if (!target) return;
+
+    // Only trees opt in, so accordions and disclosure cards in plain lists stay shut
+    const container = DataDrag.findParentInTree(target.parentElement, '[data-drag-parent]');
+    const expandDelay = container && DataDrag.treeSetting(container, 'expandDelay');
+    const isTree = (expandDelay || (container && DataDrag.treeSetting(container, 'indent')));
+    if (!isTree) return;
+
+    const delay = expandDelay?.value ?? 600;
+    if (delay === false) return;
+
+    state.expandTimer = setTimeout(() => {
+      const stillHovered = (DataDrag.globalDragState === state && state.expandTarget === target);
+      if (!stillHovered) return;
+
+      state.expandTarget = null;
+      const expanded = this.expandBranch(state, target);
+
+      // The branch's children are now under the pointer
+      if (expanded) this.updateDrag(state, state.clientX, state.clientY);
+    }, delay);
+  }
+
+  /**
+   * Expand a collapsed tree item during a drag
+   * A listener calling preventDefault() on datadrag:expand keeps it closed;
+   * branches expanded by a drag fold up again if it is cancelled
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement} item - Collapsed item
+   * @returns {boolean} True if the item was expanded
+   */
+  expandBranch(state, item) {
+    const allowed = DataDrag.dispatchEvent(item, 'expand', {
+      item,
+      dragged: state.item
+    });
+    if (!allowed) return false;
+
+    DataDrag.setExpanded(item, true);
+    state.expanded.push(item);
+    return true;
+  }
+
+  /**
+   * Ask for an auto-scroll step on the next frame, unless one is already pending
+   *
+   * @param {Object} state - The active pointer drag state
+   */
+  scheduleAutoScroll(state) {
+    const isPending = (state.scrollFrame);
+    if (isPending || !state.options.scroll) return;
+
+    state.scrollFrame = requestAnimationFrame(() => this.autoScroll(state));
+  }
+
+  /**
+   * Scroll the hovered container's scrollable ancestors and the window when the
+   * pointer is near their edges. While anything keeps scrolling, the drop target
+   * and insert position are re-evaluated every frame so content moving under a
+   * stationary pointer is tracked too
+   *
+   * @param {Object} state - The active pointer drag state
+   */
+  autoScroll(state) {
+    state.scrollFrame = null;
+
+    const isStillDragging = (DataDrag.globalDragState === state && state.isDragging);
+    if (!isStillDragging) return;
+
+    const { clientX, clientY, options } = state;
+    let scrolled = false;
+
+    // Innermost first, so a panel scrolls before the page does
+    const scrollables = state.overParent ? DataDrag.scrollableAncestors(state.overParent) : [];
+    for (const element of scrollables) {
+      const rect = element.getBoundingClientRect();
+      const isInside = (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom);
+      if (!isInside) continue;
+
+      const before = [element.scrollLeft, element.scrollTop];
+      if (element.scrollWidth > element.clientWidth) {
+        element.scrollLeft += DataDrag.edgeVelocity(clientX, rect.left, rect.right, options);
+      }
+      if (element.scrollHeight > element.clientHeight) {
+        element.scrollTop += DataDrag.edgeVelocity(clientY, rect.top, rect.bottom, options);
+      }
+
+      const moved = (element.scrollLeft !== before[0] || element.scrollTop !== before[1]);
+      scrolled = scrolled || moved;
+    }
+
+    const page = document.scrollingElement || document.documentElement;
+    const pageBefore = [page.scrollLeft, page.scrollTop];
+    const pageX = DataDrag.edgeVelocity(clientX, 0, window.innerWidth, options);
+    const pageY = DataDrag.edgeVelocity(clientY, 0, window.innerHeight, options);
+    if (pageX || pageY) {
+      window.scrollBy(pageX, pageY);
+      scrolled = scrolled || (page.scrollLeft !== pageBefore[0] || page.scrollTop !== pageBefore[1]);
+    }
+
+    // Content moved under the pointer: find the target again, which also asks for the next frame
+    if (scrolled) {
+      this.updateDrag(state, clientX, clientY);
+    }
+  }
+
+  /**
+   * Check whether a container accepts the dragged item
+   *
+   * @param {HTMLElement} dropParent - Candidate container
+   * @param {Object} state - The active drag state
+   * @param {number|null} [index=null] - Proposed draggable index, if known
+   * @returns {boolean} True if the item may be dropped there
+   */
+  canDropInto(dropParent, state, index = null) {
+    return !DataDrag.findDenial(dropParent, state, index);
+  }
+
+  /**
+   * Work out why a container refuses the dragged item, if it does
+   * An item can never go inside itself or below a tree's maxDepth. Groups must
+   * agree next, then "access" rules test where the item comes from and "accept"
+   * rules test the item itself; all must pass
+   *
+   * @static
+   * @param {HTMLElement} dropParent - Candidate container
+   * @param {Object} state - The active drag state, or { item, parent, copy, ruleResults } for an item moved by code
+   * @param {number|null} [index=null] - Proposed draggable index, if known
+   * @returns {Object|null} { reason: 'cycle'|'depth'|'group'|'access'|'accept', rule } or null if allowed
+   */
+  static findDenial(dropParent, state, index = null) {
+    const parentConfig = DataDrag.parseParentOptions(dropParent);
+
+    // A branch can't be dropped into its own descendants, not even as a copy
+    const isOwnDescendant = [state.item, state.copy].some(element => element?.contains(dropParent));
+    if (isOwnDescendant) return { reason: 'cycle', rule: null };
+
+    // A branch keeps its shape during a drag, so its height is measured once per item
+    const heights = state.branchHeights;
+    if (heights && !heights.has(state.item)) {
+      heights.set(state.item, DataDrag.branchHeight(state.item));
+    }
+    const isTooDeep = DataDrag.exceedsMaxDepth(dropParent, state.item, heights?.get(state.item));
+    if (isTooDeep) return { reason: 'depth', rule: null };
+
+    // Groups only matter once the item leaves its own container
+    const isOtherContainer = (dropParent !== state.parent);
+    if (isOtherContainer) {
+      const canLeave = Group.of(state.parent).canPull();
+      const canEnter = Group.of(dropParent).canPut(Group.nameOf(state.item, state.parent));
+      if (!canLeave || !canEnter) return { reason: 'group', rule: null };
+    }
+
+    // Named rules see the whole picture, and run once per container and index
+    const context = { item: state.item, source: state.parent, target: dropParent, index };
+    if (!state.ruleResults.has(dropParent)) {
+      state.ruleResults.set(dropParent, new Map());
+    }
+    const cache = state.ruleResults.get(dropParent);
+
+    const hasAccessRules = (parentConfig?.access);
+    if (hasAccessRules) {
+      const access = new Access(parentConfig.access);
+      const sourceAllowed = access.canAccept(state.item, state.parent);
+      if (!sourceAllowed) return { reason: 'access', rule: null };
+
+      const rule = access.failingRule(context, cache);
+      if (rule) return { reason: 'access', rule };
+    }
+
+    const hasAcceptRules = (parentConfig?.accept);
+    if (hasAcceptRules) {
+      const accept = new Access(parentConfig.accept);
+      const itemAllowed = accept.canAcceptItem(state.item);
+      if (!itemAllowed) return { reason: 'accept', rule: null };
+
+      const rule = accept.failingRule(context, cache);
+      if (rule) return { reason: 'accept', rule };
+    }
+
+    return null;
+  }
+
+  /**
+   * Tell screen readers and listeners that a container refused the item
+   * Only once per container, until the item is somewhere else
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement} dropParent - Container that refused
+   * @param {Object} denial - Result of findDenial
+   * @param {number|null} index - Proposed draggable index
+   */
+  reportDenial(state, dropParent, denial, index) {
+    const isNewDenial = (state.deniedParent !== dropParent);
+    state.deniedParent = dropParent;
+    if (!isNewDenial) return;
+
+    DataDrag.announce(dropParent, 'denied', state.item);
+    DataDrag.dispatchEvent(dropParent, 'denied', {
+      item: state.item,
+      source: state.parent,
+      parent: dropParent,
+      index,
+      ...denial
+    });
+  }
+
+  /**
+   * Check whether a container's min/max counts let the dragged item in
+   * A copy drag still in its own list leaves nothing behind, so it never hits a minimum
+   *
+   * @param {HTMLElement} dropParent - Container to check
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement|null} [reference=null] - Element it would be inserted before
+   * @returns {boolean} True if the item fits, directly or through overflow
+   */
+  hasRoomFor(dropParent, state, reference = null) {
+    const activeElement = state.placeholder || state.copy || state.item;
+    const leavesNothingBehind = (state.options.copy && activeElement.parentElement === state.parent);
+    const source = leavesNothingBehind ? null : activeElement.parentElement;
+
+    return DataDrag.checkCapacity(dropParent, reference, source, activeElement.nextSibling).allowed;
+  }
+
+  /**
+   * Move the dragged item (or its copy) to a new position
+   * Handles copy creation/removal, sort restrictions and the move animation
+   * A listener calling preventDefault() on datadrag:move keeps the item where it was
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement} dropParent - Container to move into
+   * @param {HTMLElement|null} reference - Element to insert before, or null for end
+   * @returns {boolean} True if the item actually moved
+   */
+  placeItem(state, dropParent, reference) {
+    // Don't ask again about a position that was just vetoed
+    const wasVetoed = (state.vetoedMove?.parent === dropParent && state.vetoedMove?.reference === reference);
+    if (wasVetoed) return false;
+
+    // Nor about a container that was just found full
+    const wasFull = (state.fullParent === dropParent);
+    if (wasFull) return false;
+    state.fullParent = null;
+
+    // Determine copy and sort behavior
+    const isDifferentParent = (dropParent !== state.parent);
+    const shouldCreateCopy = (state.options.copy && isDifferentParent);
+    const canSortInParent = (state.options.sort || isDifferentParent);
+
+    // Handle copy creation/removal based on current parent (a placeholder copies on drop)
+    const usesPlaceholder = !!state.placeholder;
+    const needsNewCopy = (shouldCreateCopy && !state.copy && !usesPlaceholder);
+    const needsRemoveCopy = (!shouldCreateCopy && state.copy);
 
     if (needsNewCopy) {
-      state.copy = state.item.cloneNode(true);
+      state.copy = DataDrag.copyOf(state.item);
       DataDrag.dispatchEvent(state.parent, 'cloned', {
         original: state.item,
         copy: state.copy
       });
-    } else if (needsRemoveCopy) {
+    } else if (needsRemoveCopy) {
+      state.copy.remove();
+      state.copy = null;
+    }
+
+    if (!canSortInParent) return false;
+
+    // Determine which element to manipulate (placeholder, copy or original)
+    const activeElement = state.placeholder || state.copy || state.item;
+    const subject = usesPlaceholder ? state.item : activeElement;
+
+    // Check if position has changed
+    const parentChanged = (activeElement.parentElement !== dropParent);
+    let nextSibling = activeElement.nextElementSibling;
+    while (nextSibling?.classList.contains('data-drag-hidden')) {
+      nextSibling = nextSibling.nextElementSibling;
+    }
+    const positionChanged = (nextSibling !== reference);
+    const needsInsertion = (parentChanged || positionChanged);
+    if (!needsInsertion) return false;
+
+    const oldParent = activeElement.parentElement;
+    const oldNextSibling = activeElement.nextSibling;
+
+    // Respect min/max item counts before anything moves; a placeholder for a copy
+    // leaves the original behind, so its home list loses nothing
+    const leavesNothingBehind = (usesPlaceholder && state.options.copy && oldParent === state.parent);
+    const source = leavesNothingBehind ? null : oldParent;
+    const capacity = DataDrag.checkCapacity(dropParent, reference, source, oldNextSibling);
+    if (!capacity.allowed) {
+      if (!oldParent) {
+        // A fresh copy that has nowhere to go
+        state.copy = null;
+      }
+
+      state.fullParent = dropParent;
+      DataDrag.announce(dropParent, 'denied', state.item);
+      if (capacity.full) {
+        DataDrag.dispatchFull(capacity, subject);
+      }
+      return false;
+    }
+
+    // A fresh copy starts out at the original item's position
+    const oldIndexes = DataDrag.indexesOf(oldParent ? activeElement : state.item);
+
+    // Leaving a container gives back whatever our arrival pushed out of it
+    const isLeavingParent = (parentChanged && oldParent);
+    const returning = isLeavingParent ? state.displaced.filter(entry => entry.cause === oldParent) : [];
+
+    // Measure everything that may shift (FLIP "first"); a fresh copy starts where the original is
+    const affected = [dropParent, oldParent, capacity.destination, ...returning.map(entry => entry.element.parentElement)];
+    const rects = this.measureSiblings(affected);
+    if (!oldParent) {
+      rects.set(activeElement, state.item.getBoundingClientRect());
+    }
+    const returningFrom = returning.map(({ element }) => ({ element, parent: element.parentElement, next: element.nextSibling }));
+
+    // Insert at new position, making room (push or swap) so the count never exceeds max
+    dropParent.insertBefore(activeElement, reference);
+    DataDrag.restoreDisplaced(returning);
+    const displaced = DataDrag.applyOverflow(capacity);
+
+    // Notify about the move, listeners see the DOM after the insertion
+    const allowed = DataDrag.dispatchEvent(dropParent, 'move', {
+      item: subject,
+      items: state.groupItems.map(element => (element === state.item ? subject : element)),
+      placeholder: state.placeholder || null,
+      from: oldParent || state.parent,
+      to: dropParent,
+      reference,
+      ...DataDrag.indexDetail(oldIndexes, DataDrag.indexesOf(activeElement)),
+      ...DataDrag.pathDetail(oldParent || state.parent, dropParent)
+    });
+
+    if (!allowed) {
+      // Vetoed: undo the overflow, then put the element back (a fresh copy simply goes away)
+      activeElement.remove();
+      DataDrag.restoreDisplaced(displaced ? [displaced] : []);
+      returningFrom.reverse().forEach(({ element, parent, next }) => (parent ? parent.insertBefore(element, next) : element.remove()));
+      if (oldParent) {
+        oldParent.insertBefore(activeElement, oldNextSibling);
+      } else {
+        state.copy = null;
+      }
+      if (usesPlaceholder) this.syncPlaceholder(state);
+
+      state.vetoedMove = { parent: dropParent, reference };
+      return false;
+    }
+
+    state.vetoedMove = null;
+    state.displaced = state.displaced.filter(entry => !returning.includes(entry));
+
+    // Whatever was pushed or swapped out comes back if the item moves on
+    if (displaced) {
+      state.displaced.push(displaced);
+      DataDrag.dispatchFull(capacity, subject);
+    }
+
+    // Copy drags show the original again once the placeholder leaves its list
+    if (usesPlaceholder) {
+      this.syncPlaceholder(state);
+    }
+
+    // Slide the item and every neighbour it displaced into place
+    this.animateSiblings(rects, state.options.animation);
+
+    DataDrag.announce(dropParent, 'move', subject);
+
+    // Counts changed, so refresh which containers can still take the item
+    if (parentChanged) {
+      this.markCandidates(state);
+    }
+
+    return true;
+  }
+
+  /**
+   * Handle pointer up event - end of drag operation
+   *
+   * @param {PointerEvent} event - Pointer up event
+   */
+  handlePointerUp(event) {
+    const state = DataDrag.globalDragState;
+    if (!state) return;
+
+    const isTrackedPointer = (event.pointerId === state.pointerId);
+    if (!isTrackedPointer) return;
+
+    const neverStartedDragging = !state.isDragging;
+    if (neverStartedDragging) {
+      // Was just a click, not a drag
+      this.resetDragState(state);
+      if (state.options.select) {
+        this.selectFromClick(state.item, state.parent, event);
+      }
+      return;
+    }
+
+    this.finishDrag(state);
+  }
+
+  /**
+   * Update the selection after a click on an item that allows selecting
+   * Ctrl/Cmd-click toggles the item, Shift-click selects the range from the last
+   * item selected, and a plain click selects only this item. On touch, once
+   * something is selected, taps toggle
+   *
+   * @param {HTMLElement} item - Clicked item
+   * @param {HTMLElement} parent - Container holding the item
+   * @param {PointerEvent} event - Pointer up event
+   */
+  selectFromClick(item, parent, event) {
+    const { selection } = DataDrag;
+    const isTouchSelecting = (event.pointerType === 'touch' && selection.size > 0);
+    const isToggle = (event.ctrlKey || event.metaKey || isTouchSelecting);
+
+    if (event.shiftKey) {
+      selection.selectRange(item);
+    } else if (isToggle) {
+      selection.toggle(item);
+    } else {
+      selection.clear();
+      selection.add(item);
+    }
+
+    this.reportSelection(item, parent);
+  }
+
+  /**
+   * Handle selection keys on a focused item
+   * Ctrl/Cmd+Space toggles the item, Shift+Space selects the range from the last
+   * item selected, Ctrl/Cmd+A selects the whole container and Escape clears the selection
+   *
+   * @param {HTMLElement} item - Focused item
+   * @param {HTMLElement} parent - Container holding the item
+   * @param {KeyboardEvent} event - Key down event
+   * @returns {boolean} True if the key changed the selection
+   */
+  handleSelectKey(item, parent, event) {
+    const { selection } = DataDrag;
+    const hasCommandKey = (event.ctrlKey || event.metaKey);
+
+    if (event.key === ' ' && hasCommandKey) {
+      selection.toggle(item);
+    } else if (event.key === ' ' && event.shiftKey) {
+      selection.selectRange(item);
+    } else if (event.key.toLowerCase() === 'a' && hasCommandKey) {
+      DataDrag.draggableChildren(parent).forEach(sibling => selection.add(sibling));
+      selection.anchor = item;
+    } else if (event.key === 'Escape' && selection.size > 0) {
+      selection.clear();
+      DataDrag.announce(parent, 'clearSelection', item);
+      DataDrag.dispatchEvent(parent, 'select', { item, selected: false, items: [] });
+      return true;
+    } else {
+      return false;
+    }
+
+    this.reportSelection(item, parent);
+    return true;
+  }
+
+  /**
+   * Announce a selection change and let listeners know
+   *
+   * @param {HTMLElement} item - Item whose selection changed
+   * @param {HTMLElement} parent - Container holding the item
+   */
+  reportSelection(item, parent) {
+    const selected = DataDrag.selection.has(item);
+    const items = DataDrag.selection.items();
+
+    DataDrag.announce(parent, selected ? 'select' : 'deselect', item, { count: items.length });
+    DataDrag.dispatchEvent(parent, 'select', { item, selected, items });
+  }
+
+  /**
+   * Finish a drag where the item currently is
+   * Applies adoption rules, dispatches events, cleans up
+   * A listener calling preventDefault() on datadrag:drop sends the item back to its source
+   *
+   * @param {Object} state - The active drag state
+   * @returns {boolean} True if the drop was accepted
+   */
+  finishDrag(state) {
+    // Released over an item: a merge, not a place in a list
+    if (state.mergeTarget) {
+      return this.finishMerge(state, state.mergeTarget);
+    }
+
+    // Swap mode trades places with the marked target, or puts everything back
+    const isSwap = (state.options.mode === 'swap');
+    if (isSwap) {
+      return this.finishSwap(state, state.swapTarget);
+    }
+
+    // In placeholder mode the item (or its copy) moves now, once
+    if (state.placeholder) {
+      this.settlePlaceholder(state);
+    }
+
+    // Determine final state
+    const activeElement = state.copy || state.item;
+    const finalParent = activeElement.parentElement;
+
+    const isValidDrop = DataDrag.findParentInTree(
+      finalParent,
+      '[data-drag-parent]'
+    );
+
+    // Clean up visual states
+    this.cleanupElement(state.item);
+    this.cleanupElement(state.copy);
+
+    // The mirror flies into the item's final slot; a cancel below sends it home instead
+    const settled = this.settleMirror(state, activeElement);
+
+    if (!isValidDrop) {
+      // Invalid drop location - put everything back
+      this.cancelDrag(state, 'invalid');
+      return false;
+    }
+
+    // Apply adoption configuration from target parent, remembering what it replaced
+    const adoptedNames = Object.keys(DataDrag.parseParentOptions(finalParent)?.adopted || {});
+    const attributesBefore = DataDrag.snapshotAttributes(activeElement, adoptedNames);
+    DataDrag.applyAdoption(activeElement, finalParent);
+
+    // The rest of the selection gathers around the item
+    const followers = this.dropFollowers(state, activeElement, finalParent);
+    const movedElements = new Set(followers.map(({ element }) => element));
+    const items = DataDrag.draggableChildren(finalParent)
+      .filter(element => element === activeElement || movedElements.has(element));
+
+    // Listeners may hand us promises that decide the drop later
+    const validations = DataDrag.collectValidations();
+
+    const dropDetail = {
+      item: activeElement,
+      items,
+      from: state.parent,
+      to: finalParent,
+      isCopy: !!state.copy,
+      displaced: state.displaced.map(({ element }) => element),
+      ...DataDrag.indexDetail(state.origin, DataDrag.indexesOf(activeElement)),
+      ...DataDrag.pathDetail(state.parent, finalParent)
+    };
+
+    // Notify successful drop
+    const allowed = DataDrag.dispatchEvent(finalParent, 'drop', {
+      ...dropDetail,
+      target: null,
+      waitUntil: validations.waitUntil,
+      settled
+    });
+    validations.close();
+
+    if (!allowed) {
+      // Vetoed: undo the adoption and send the item home
+      DataDrag.restoreAttributes(activeElement, attributesBefore);
+      DataDrag.undoFollowers(followers);
+      this.cancelDrag(state, 'vetoed');
+      return false;
+    }
+
+    DataDrag.rememberSlotOrigin(activeElement, finalParent, state.copy ? null : state.origin);
+
+    const isGroupDrop = (items.length > 1);
+    DataDrag.announce(finalParent, isGroupDrop ? 'dropMany' : 'drop', activeElement, { count: items.length });
+
+    // add/remove/update only fire once the drop is final
+    const needsValidation = (validations.promises.length > 0);
+    if (needsValidation) {
+      this.awaitValidation({
+        item: state.item,
+        activeElement,
+        from: state.parent,
+        to: finalParent,
+        isCopy: !!state.copy,
+        origin: state.origin,
+        attributesBefore,
+        displaced: state.displaced,
+        followers,
+        items,
+        animation: state.options.animation
+      }, validations.promises).then(kept => {
+        if (kept) DataDrag.dispatchSortEvents(dropDetail);
+      });
+    } else {
+      DataDrag.dispatchSortEvents(dropDetail);
+    }
+
+    // Clear drag state
+    this.resetDragState(state);
+    return true;
+  }
+
+  /**
+   * Cancel a drag - put the item back where it started
+   * Removes any copy, restores the original index in the original parent,
+   * animates the return and notifies listeners
+   *
+   * @param {Object} state - The active drag state
+   * @param {string} reason - Why the drag ended: escape, api, pointercancel, blur, invalid or vetoed
+   */
+  cancelDrag(state, reason) {
+    this.returnHome(state);
+    const settled = this.settleMirror(state, state.item);
+    this.reportCancel(state, reason, settled);
+  }
+
+  /**
+   * Notify listeners and screen readers of a cancelled drag, once everything is back home
+   * Folds up the branches the drag opened and clears the drag state
+   *
+   * @param {Object} state - The drag state being cancelled
+   * @param {string} reason - Why the drag ended
+   * @param {Promise<void>} settled - Resolves once the mirror is back in the item's slot
+   */
+  reportCancel(state, reason, settled) {
+    const { index, rect } = state.origin;
+
+    // Branches the drag opened fold up again
+    state.expanded.forEach(item => DataDrag.setExpanded(item, false));
+
+    DataDrag.dispatchEvent(state.parent, 'cancel', {
+      item: state.item,
+      parent: state.parent,
+      index,
+      x: rect.left,
+      y: rect.top,
+      reason,
+      settled,
+      items: state.groupItems,
+      ...DataDrag.indexDetail(state.origin, DataDrag.indexesOf(state.item))
+    });
+
+    DataDrag.announce(state.parent, 'cancel', state.item);
+
+    this.resetDragState(state);
+  }
+
+  /**
+   * Put back everything a drag moved
+   * Removes any copy and returns the item, its followers and whatever it displaced
+   * to where they started; behind a placeholder the item never left
+   *
+   * @param {Object} state - The drag state being ended
+   */
+  returnHome(state) {
+    this.revealFollowers(state);
+
+    if (state.copy) {
       state.copy.remove();
-      state.copy = null;
     }
 
-    if (!canSortInParent) return;
+    this.cleanupElement(state.item);
+
+    if (state.placeholder) {
+      state.placeholder.remove();
+      state.placeholder = null;
+      this.syncPlaceholder(state);
+      DataDrag.restoreDisplaced(state.displaced);
+    } else {
+      this.restoreOrigin(state.item, state.origin, state.options.animation, state.displaced);
+    }
+    state.displaced = [];
+  }
+
+  /**
+   * Finish a drag released over a merge target
+   * The lists stay as they were: the item (and any selection) goes back where it
+   * started and datadrag:drop fires on the target with detail.target set, so
+   * listeners decide what dropping onto an item means. waitUntil() and vetoes
+   * work as for any drop; add/remove/update don't fire as no list changed.
+   * The rules are checked again, as the page may have changed since the hover
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement} target - Item the drag was released over
+   * @returns {boolean} True if the drop was accepted
+   */
+  finishMerge(state, target) {
+    this.setMergeTarget(state, null);
+
+    const container = DataDrag.findParentInTree(target.parentElement, '[data-drag-parent]');
+    const isRefused = !container
+      || !!DataDrag.findDenial(container, state, DataDrag.draggableChildren(container).indexOf(target));
+    if (isRefused) {
+      this.cancelDrag(state, 'invalid');
+      return false;
+    }
+
+    this.returnHome(state);
+    const settled = this.settleMirror(state, state.item);
+    const items = state.groupItems;
+    const validations = DataDrag.collectValidations();
+
+    const allowed = DataDrag.dispatchEvent(target, 'drop', {
+      item: state.item,
+      items,
+      from: state.parent,
+      to: container,
+      target,
+      isCopy: false,
+      ...DataDrag.indexDetail(state.origin, DataDrag.indexesOf(state.item)),
+      ...DataDrag.pathDetail(state.parent, container),
+      waitUntil: validations.waitUntil,
+      settled
+    });
+    validations.close();
+
+    if (!allowed) {
+      // Everything is already home, so only the cancel is left to report
+      this.reportCancel(state, 'vetoed', settled);
+      return false;
+    }
+
+    DataDrag.announce(container, 'merged', state.item, { target: Announcer.labelFor(target, 'item') });
+
+    const needsValidation = (validations.promises.length > 0);
+    if (needsValidation) {
+      this.awaitValidation({
+        item: state.item,
+        activeElement: state.item,
+        from: state.parent,
+        to: container,
+        target,
+        isCopy: false,
+        origin: state.origin,
+        attributesBefore: [],
+        displaced: [],
+        followers: [],
+        items,
+        animation: state.options.animation
+      }, validations.promises);
+    }
+
+    this.resetDragState(state);
+    return true;
+  }
+
+  /**
+   * Finish a swap-mode drag by trading places with the target
+   * The item takes the target's slot and the target the item's, even across
+   * containers, both sliding into place; an empty container just takes the item.
+   * One datadrag:swap event describes both moves. preventDefault() and
+   * waitUntil() work as on datadrag:drop, and undo both moves
+   *
+   * @param {Object} state - The active drag state
+   * @param {HTMLElement|null} target - Item or empty container to swap with
+   * @returns {boolean} True if the swap was accepted
+   */
+  finishSwap(state, target) {
+    this.setSwapTarget(state, null);
+    if (!target) {
+      this.cancelDrag(state, 'invalid');
+      return false;
+    }
+
+    const { item } = state;
+    const isEmptySlot = !target.hasAttribute('data-drag');
+    const from = item.parentElement;
+    const to = isEmptySlot ? target : target.parentElement;
+    const targetOrigin = isEmptySlot ? null : { parent: to, ...DataDrag.indexesOf(target) };
+
+    // Trade places, with a marker holding the item's slot while it moves
+    const rects = this.measureSiblings([from, to]);
+    if (isEmptySlot) {
+      to.appendChild(item);
+    } else {
+      const marker = document.createTextNode('');
+      item.replaceWith(marker);
+      target.replaceWith(item);
+      marker.replaceWith(target);
+    }
+    this.animateSiblings(rects, state.options.animation);
+
+    // Each element adopts its new container's attributes, and the target comes back if the swap is undone
+    const isOtherParent = (from !== to);
+    const adopt = (element, parent) => {
+      const names = isOtherParent ? Object.keys(DataDrag.parseParentOptions(parent)?.adopted || {}) : [];
+      const attributesBefore = DataDrag.snapshotAttributes(element, names);
+      if (isOtherParent) DataDrag.applyAdoption(element, parent);
+      return attributesBefore;
+    };
+    const attributesBefore = adopt(item, to);
+    const targetMoves = isEmptySlot ? [] : [{ element: target, origin: targetOrigin, isCopy: false, attributesBefore: adopt(target, from) }];
+    targetMoves.forEach(({ element, origin }) => state.displaced.push({ element, origin, cause: to }));
+
+    this.cleanupElement(item);
+    const settled = this.settleMirror(state, item);
+
+    const moves = [{
+      item,
+      from,
+      to,
+      ...DataDrag.indexDetail(state.origin, DataDrag.indexesOf(item)),
+      ...DataDrag.pathDetail(from, to)
+    }];
+    if (!isEmptySlot) {
+      moves.push({
+        item: target,
+        from: to,
+        to: from,
+        ...DataDrag.indexDetail(targetOrigin, DataDrag.indexesOf(target)),
+        ...DataDrag.pathDetail(to, from)
+      });
+    }
+
+    const validations = DataDrag.collectValidations();
+    const allowed = DataDrag.dispatchEvent(to, 'swap', {
+      item,
+      target: isEmptySlot ? null : target,
+      from,
+      to,
+      moves,
+      waitUntil: validations.waitUntil,
+      settled
+    });
+    validations.close();
+
+    if (!allowed) {
+      DataDrag.restoreAttributes(item, attributesBefore);
+      DataDrag.undoFollowers(targetMoves);
+      this.cancelDrag(state, 'vetoed');
+      return false;
+    }
+
+    const label = isEmptySlot ? Announcer.labelFor(to, 'the list', false) : Announcer.labelFor(target, 'item');
+    DataDrag.announce(to, 'swapped', item, { target: label });
+
+    const needsValidation = (validations.promises.length > 0);
+    if (needsValidation) {
+      this.awaitValidation({
+        item,
+        activeElement: item,
+        from,
+        to,
+        target: isEmptySlot ? null : target,
+        isCopy: false,
+        origin: state.origin,
+        attributesBefore,
+        displaced: state.displaced,
+        // The target goes along as a follower, so it is locked and undone with the item
+        followers: targetMoves,
+        items: [item],
+        animation: state.options.animation
+      }, validations.promises);
+    }
+
+    this.resetDragState(state);
+    return true;
+  }
+
+  /**
+   * Fly the mirror into the slot of the element it lands on, then remove it
+   * The element stays hidden until the mirror arrives. Its position is read on every
+   * frame, so the mirror follows the slot while neighbours animate or the page scrolls.
+   * Calling again during the same drop only changes where the mirror lands, and a
+   * new drag of the landing element finishes the settle at once (DataDrag.settling)
+   *
+   * @param {Object} state - The drag state being finished
+   * @param {HTMLElement} element - Item (or copy) whose slot the mirror lands in
+   * @returns {Promise<void>} Resolves once the mirror is gone
+   */
+  settleMirror(state, element) {
+    const previous = state.landing;
+    if (previous && previous !== element) {
+      previous.style.visibility = state.landingVisibility;
+    }
+    if (previous !== element) {
+      state.landing = element;
+      state.landingVisibility = element.style.visibility;
+      if (state.isSettling) {
+        element.style.visibility = 'hidden';
+        DataDrag.settling.delete(previous);
+        DataDrag.settling.set(element, state.finishSettle);
+      }
+    }
+
+    if (state.settled) return state.settled;
+
+    const { mirror, options } = state;
+    const duration = DataDrag.prefersReducedMotion() ? 0 : options.settle;
+    const canAnimate = (mirror && duration > 0);
+    if (!canAnimate) {
+      DataDrag.removeMirror(mirror);
+      state.settled = Promise.resolve();
+      return state.settled;
+    }
+
+    state.isSettling = true;
+    state.landing.style.visibility = 'hidden';
+    const ease = DataDrag.settleEasings[options.settleEasing] || DataDrag.settleEasings.linear;
+    const startX = parseFloat(mirror.style.left) || 0;
+    const startY = parseFloat(mirror.style.top) || 0;
+    const startOpacity = parseFloat(mirror.style.opacity) || 1;
+    const { mirrorScale: scale, mirrorTilt: tilt } = options;
+    const isTransformed = (scale !== 1 || tilt);
+
+    state.settled = new Promise(resolve => {
+      let startTime = null;
+      let isDone = false;
+
+      state.finishSettle = () => {
+        if (isDone) return;
+        isDone = true;
+        DataDrag.settling.delete(state.landing);
+        state.landing.style.visibility = state.landingVisibility;
+        state.isSettling = false;
+        DataDrag.removeMirror(mirror);
+        resolve();
+      };
+      DataDrag.settling.set(state.landing, state.finishSettle);
+
+      const frame = (now) => {
+        if (isDone) return;
+        startTime ??= now;
+        const landing = state.landing;
+
+        const elapsed = Math.min((now - startTime) / duration, 1);
+        const progress = ease(elapsed);
+        const rect = landing.getBoundingClientRect();
+
+        mirror.style.left = `${startX + (rect.left - startX) * progress}px`;
+        mirror.style.top = `${startY + (rect.top - startY) * progress}px`;
+        mirror.style.opacity = String(startOpacity + (1 - startOpacity) * progress);
+        if (isTransformed) {
+          mirror.style.transform = `scale(${scale + (1 - scale) * progress}) rotate(${tilt * (1 - progress)}deg)`;
+        }
+
+        // Done, or the slot went away (the copy was rolled back, the item removed)
+        const isFinished = (elapsed >= 1 || !landing.isConnected);
+        if (!isFinished) {
+          requestAnimationFrame(frame);
+          return;
+        }
+
+        state.finishSettle();
+      };
+
+      requestAnimationFrame(frame);
+    });
+
+    return state.settled;
+  }
+
+  /**
+   * Put an item back at the index it had before the drag
+   *
+   * @param {HTMLElement} item - Item to restore
+   * @param {Object} origin - Recorded origin: parent and index
+   * @param {number} animation - Animation duration in milliseconds (0 = none)
+   * @param {Array<Object>} [displaced=[]] - Items pushed or swapped out along the way
+   */
+  restoreOrigin(item, origin, animation, displaced = []) {
+    const { parent, index } = origin;
+    const affected = [parent, item.parentElement, ...displaced.flatMap(entry => [entry.element.parentElement, entry.origin.parent])];
+    const rects = this.measureSiblings(affected);
+
+    // Displaced items go home first so the original index means the same thing again
+    item.remove();
+    DataDrag.restoreDisplaced(displaced);
+    parent.insertBefore(item, parent.children[index] || null);
+
+    this.animateSiblings(rects, animation);
+  }
+
+  /**
+   * Wait for async drop validation, then keep or roll back the drop
+   * The item, its followers and anything it displaced are locked with the
+   * data-drag-pending class until every promise settles, so a rollback finds them
+   * where the drop left them; any rejection restores the pre-drag DOM and fires datadrag:rollback
+   *
+   * @param {Object} drop - Everything needed to undo the drop
+   * @param {Array<Promise>} promises - Promises passed to detail.waitUntil()
+   * @returns {Promise<boolean>} Resolves true if the drop was kept; never rejects
+   */
+  async awaitValidation(drop, promises) {
+    const locked = new Set([
+      drop.activeElement,
+      ...drop.followers.map(({ element }) => element),
+      ...drop.displaced.map(({ element }) => element)
+    ]);
+
+    locked.forEach(element => {
+      DataDrag.pendingItems.add(element);
+      element.classList.add('data-drag-pending');
+      element.setAttribute('aria-busy', 'true');
+    });
+
+    const unlock = () => locked.forEach(element => {
+      DataDrag.pendingItems.delete(element);
+      element.classList.remove('data-drag-pending');
+      element.removeAttribute('aria-busy');
+    });
+
+    try {
+      await Promise.all(promises);
+      unlock();
+      return true;
+    } catch (error) {
+      unlock();
+
+      // A failed rollback is reported here, so callers never see a rejection
+      try {
+        this.rollbackDrop(drop, error);
+      } catch (rollbackError) {
+        console.warn('data-drag rollback failed:', rollbackError);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Undo a drop whose validation was rejected and fire datadrag:rollback
+   * Restores adoption, removes the copy or moves the item back, and puts
+   * followers and displaced items where they were
+   *
+   * @param {Object} drop - Everything needed to undo the drop
+   * @param {*} error - Why validation failed
+   */
+  rollbackDrop(drop, error) {
+    const { item, activeElement } = drop;
+
+    // Undo everything the drop did: adoption, the copy or the move
+    const droppedIndexes = DataDrag.indexesOf(activeElement);
+    DataDrag.restoreAttributes(activeElement, drop.attributesBefore);
+    DataDrag.undoFollowers(drop.followers);
+    if (drop.isCopy) {
+      activeElement.remove();
+      DataDrag.restoreDisplaced(drop.displaced);
+    } else {
+      this.restoreOrigin(item, drop.origin, drop.animation, drop.displaced);
+    }
+
+    DataDrag.dispatchEvent(drop.from, 'rollback', {
+      item,
+      items: drop.items,
+      from: drop.from,
+      to: drop.to,
+      isCopy: drop.isCopy,
+      target: drop.target || null,
+      error,
+      ...DataDrag.indexDetail(droppedIndexes, drop.isCopy ? drop.origin : DataDrag.indexesOf(item)),
+      ...DataDrag.pathDetail(drop.to, drop.from)
+    });
 
-    // Determine which element to manipulate (copy or original)
-    const activeElement = state.copy || state.item;
+    DataDrag.announce(drop.from, 'rollback', item);
+  }
 
-    // Find where to insert in the target container
-    const reference = this.findInsertPosition(
-      dropParent,
-      state.options,
-      event.clientX,
-      event.clientY,
-      activeElement
-    );
+  /**
+   * Cancel the drag in progress, wherever it started
+   * The item returns to its original position and datadrag:cancel fires
+   *
+   * @returns {boolean} True if there was a drag to cancel
+   */
+  cancel() {
+    const state = DataDrag.globalDragState;
+    if (!state) return false;
 
-    // Check if position has changed
-    const parentChanged = (activeElement.parentElement !== dropParent);
-    const positionChanged = (activeElement.nextElementSibling !== reference);
-    const needsInsertion = (parentChanged || positionChanged);
+    const neverStartedDragging = !state.isDragging;
+    if (neverStartedDragging) {
+      state.sourceInstance.resetDragState(state);
+      return false;
+    }
 
-    if (needsInsertion) {
-      const oldParent = activeElement.parentElement;
-      const oldRect = activeElement.getBoundingClientRect();
+    state.sourceInstance.cancelDrag(state, 'api');
+    return true;
+  }
 
-      // Insert at new position
-      dropParent.insertBefore(activeElement, reference);
+  /**
+   * Handle key down during a pointer drag - Escape cancels it
+   *
+   * @param {KeyboardEvent} event - Key down event
+   */
+  handleEscapeKey(event) {
+    const isEscape = (event.key === 'Escape');
+    const state = DataDrag.globalDragState;
+    if (!isEscape || !state) return;
 
-      // Animate the transition if configured
-      const shouldAnimate = (state.options.animation);
-      if (shouldAnimate) {
-        const newRect = activeElement.getBoundingClientRect();
-        this.animateInsertion(activeElement, oldRect, newRect, state.options.animation);
-      }
+    event.preventDefault();
 
-      // Notify about the move
-      DataDrag.dispatchEvent(dropParent, 'move', {
-        item: activeElement,
-        from: oldParent,
-        to: dropParent,
-        reference
-      });
+    if (state.isDragging) {
+      this.cancelDrag(state, 'escape');
+    } else {
+      this.resetDragState(state);
     }
   }
 
   /**
-   * Handle mouse up event - end of drag operation
-   * Applies adoption rules, dispatches events, cleans up
+   * Handle pointer cancel event - the browser took the gesture over
+   * (page scroll, system gesture, pointer lost) so the drag is cancelled
    *
-   * @param {MouseEvent} event - Mouse up event
+   * @param {PointerEvent} event - Pointer cancel event
    */
-  handleMouseUp() {
+  handlePointerCancel(event) {
     const state = DataDrag.globalDragState;
     if (!state) return;
 
-    // Remove event listeners
-    document.removeEventListener('mousemove', this.handleMouseMove);
-    document.removeEventListener('mouseup', this.handleMouseUp);
+    const isTrackedPointer = (event.pointerId === state.pointerId);
+    if (!isTrackedPointer) return;
 
-    const neverStartedDragging = !state.isDragging;
-    if (neverStartedDragging) {
-      // Was just a click, not a drag
-      DataDrag.globalDragState = null;
-      this.dragState = null;
+    if (state.isDragging) {
+      this.cancelDrag(state, 'pointercancel');
+    } else {
+      this.resetDragState(state);
+    }
+  }
+
+  /**
+   * Handle touch move event - block page scrolling once a touch drag is armed
+   * Pointer Events cannot prevent scrolling, so this listener must be non-passive
+   *
+   * @param {TouchEvent} event - Touch move event
+   */
+  handleTouchMove(event) {
+    const isArmed = (DataDrag.globalDragState?.isArmed);
+    if (isArmed && event.cancelable) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Handle context menu event - a long press would otherwise open the menu
+   *
+   * @param {Event} event - Context menu event
+   */
+  handleContextMenu(event) {
+    const isTouchGesture = (DataDrag.globalDragState?.pointerType === 'touch');
+    if (isTouchGesture) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Handle drag start event - begin a drag that uses the browser's drag image
+   * Only items with mirror: 'native' are draggable; everything after dragstart
+   * runs through the same pipeline as pointer drags
+   *
+   * @param {DragEvent} event - Drag start event
+   */
+  handleDragStart(event) {
+    // A link, image or selected text inside a pointer-dragged item would start a
+    // native drag of its own, and the browser would cancel the pointer for it
+    const isPointerDrag = (DataDrag.globalDragState?.mode === 'pointer');
+    if (isPointerDrag) {
+      event.preventDefault();
       return;
     }
 
-    // Determine final state
-    const activeElement = state.copy || state.item;
-    const finalParent = activeElement.parentElement;
+    const alreadyDragging = (DataDrag.globalDragState !== null);
+    if (alreadyDragging) return;
 
-    const isValidDrop = DataDrag.findParentInTree(
-      finalParent,
-      '[data-drag-parent]'
-    );
+    const item = DataDrag.findInPath(event, '[data-drag]');
+    if (!item) return;
+
+    const isPending = DataDrag.pendingItems.has(item);
+    if (isPending) {
+      event.preventDefault();
+      return;
+    }
+
+    const parent = DataDrag.findInPath(event, '[data-drag-parent]');
+    if (!parent) return;
+
+    const options = DataDrag.parseOptions(item, DataDrag.inheritedOptions(parent));
+    const usesNativeImage = (options.mirror === 'native');
+    if (!usesNativeImage) return;
+
+    this.dragState = {
+      item,
+      parent,
+      options,
+      mirror: null,
+      copy: null,
+      mode: 'native',
+      isDragging: false,
+      sourceInstance: this
+    };
 
-    // Remove mirror
-    if (state.mirror) {
-      state.mirror.remove();
+    DataDrag.globalDragState = this.dragState;
+    this.addDragListeners();
+
+    const started = this.beginDrag(this.dragState);
+    if (!started) {
+      event.preventDefault();
+      return;
     }
 
-    // Clean up visual states
-    this.cleanupElement(state.item);
-    this.cleanupElement(state.copy);
+    // Firefox only starts a drag that carries data
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'copyMove';
+      event.dataTransfer.setData('text/plain', Announcer.labelFor(item, 'item'));
+    }
+  }
 
-    if (isValidDrop) {
-      // Apply adoption configuration from target parent
-      DataDrag.applyAdoption(activeElement, finalParent);
+  /**
+   * Handle drag over event - follow a native drag like pointer movement
+   * Accepting every dragover keeps the drop event coming; the pipeline decides the rest
+   *
+   * @param {DragEvent} event - Drag over event
+   */
+  handleDragOver(event) {
+    const state = DataDrag.globalDragState;
+    const isNativeDrag = (state?.mode === 'native');
+    if (!isNativeDrag) return;
 
-      // Notify successful drop
-      DataDrag.dispatchEvent(finalParent, 'drop', {
-        item: activeElement,
-        from: state.parent,
-        to: finalParent,
-        isCopy: !!state.copy
-      });
+    event.preventDefault();
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = state.options.copy ? 'copy' : 'move';
+    }
+
+    this.updateDrag(state, event.clientX, event.clientY);
+  }
+
+  /**
+   * Handle drop event - finish a native drag where the item currently is
+   *
+   * @param {DragEvent} event - Drop event
+   */
+  handleDrop(event) {
+    const state = DataDrag.globalDragState;
+    const isNativeDrag = (state?.mode === 'native');
+    if (!isNativeDrag) return;
+
+    event.preventDefault();
+    this.finishDrag(state);
+  }
+
+  /**
+   * Handle drag end event - a native drag that ended without a drop is cancelled
+   * (released outside the window, or Escape pressed)
+   *
+   * @param {DragEvent} event - Drag end event
+   */
+  handleDragEnd(event) {
+    const state = DataDrag.globalDragState;
+    const isNativeDrag = (state?.mode === 'native');
+    if (!isNativeDrag) return;
+
+    this.cancelDrag(state, 'invalid');
+  }
+
+  /**
+   * Handle key down event - keyboard drag and drop
+   * Space/Enter picks up the focused item, arrow keys move it, Enter/Space
+   * drops it and Escape cancels. Items that allow selecting also take the
+   * selection keys first (see handleSelectKey)
+   *
+   * @param {KeyboardEvent} event - Key down event
+   */
+  handleKeyDown(event) {
+    // Document and shadow root instances both see keys from shadow items
+    if (event.defaultPrevented) return;
+
+    const state = DataDrag.globalDragState;
+    const isKeyboardDrag = (state?.mode === 'keyboard');
+
+    if (isKeyboardDrag) {
+      // Keys typed elsewhere, e.g. into an input, are not drag keys
+      const keyPressedOnItem = (event.composedPath()[0] === (state.copy || state.item));
+      if (!keyPressedOnItem) return;
+
+      const handled = this.handleDragKey(state, event.key);
+      if (handled) event.preventDefault();
+      return;
+    }
+
+    if (state) return;
+
+    // Only keys pressed on the item itself, not on inputs or buttons inside it
+    const item = DataDrag.findInPath(event, '[data-drag]');
+    const keyPressedOnItem = (item && event.composedPath()[0] === item);
+    if (!keyPressedOnItem) return;
+
+    const parent = DataDrag.findParentInTree(item.parentElement, '[data-drag-parent]');
+    if (!parent) return;
+
+    const options = DataDrag.parseOptions(item, DataDrag.inheritedOptions(parent));
+    if (!options.keyboard) return;
+
+    const changedSelection = (options.select && this.handleSelectKey(item, parent, event));
+    if (changedSelection) {
+      event.preventDefault();
+      return;
+    }
+
+    const isPickUpKey = (event.key === ' ' || event.key === 'Enter');
+    if (!isPickUpKey) return;
+
+    const isPending = DataDrag.pendingItems.has(item);
+    if (isPending) return;
+
+    event.preventDefault();
+    this.pickUp(item, parent, options);
+  }
+
+  /**
+   * Handle focus out event - focus moving away puts back an item picked up with the keyboard
+   * Moving the item in the DOM can blur it without focusing anything else, so
+   * only a focus change to another element counts
+   *
+   * @param {FocusEvent} event - Focus out event
+   */
+  handleFocusOut(event) {
+    const state = DataDrag.globalDragState;
+    const isKeyboardDrag = (state?.mode === 'keyboard');
+    if (!isKeyboardDrag) return;
+
+    const dragged = [state.item, state.copy];
+    const leftDraggedItem = dragged.includes(event.composedPath()[0]);
+    const focusedElsewhere = (event.relatedTarget !== null && !dragged.includes(event.relatedTarget));
+    if (leftDraggedItem && focusedElsewhere) {
+      state.sourceInstance.cancelDrag(state, 'blur');
+    }
+  }
+
+  /**
+   * Pick up an item with the keyboard
+   *
+   * @param {HTMLElement} item - Focused item
+   * @param {HTMLElement} parent - Container holding the item
+   * @param {Object} options - Item configuration
+   */
+  pickUp(item, parent, options) {
+    this.dragState = {
+      item,
+      parent,
+      options,
+      mirror: null,
+      copy: null,
+      mode: 'keyboard',
+      isDragging: false,
+      sourceInstance: this
+    };
+
+    DataDrag.globalDragState = this.dragState;
+    this.beginDrag(this.dragState);
+  }
+
+  /**
+   * Apply a key press to an item picked up with the keyboard
+   *
+   * @param {Object} state - The active keyboard drag state
+   * @param {string} key - KeyboardEvent.key value
+   * @returns {boolean} True if the key was used
+   */
+  handleDragKey(state, key) {
+    if (key === 'Escape') {
+      state.sourceInstance.cancelDrag(state, 'escape');
+      state.item.focus();
+      return true;
+    }
+
+    if (key === 'Enter' || key === ' ') {
+      const activeElement = state.copy || state.item;
+      const dropped = state.sourceInstance.finishDrag(state);
+      (dropped ? activeElement : state.item).focus();
+      return true;
+    }
+
+    const container = (state.copy || state.item).parentElement;
+    const direction = DataDrag.resolveDirection(container, state.options);
+    const isGrid = (direction === 'grid');
+    if (isGrid) return this.handleGridKey(state, key, container);
+
+    const isHorizontal = (direction === 'horizontal');
+    const previousKey = isHorizontal ? 'ArrowLeft' : 'ArrowUp';
+    const nextKey = isHorizontal ? 'ArrowRight' : 'ArrowDown';
+    const previousParentKeys = ['PageUp', isHorizontal ? 'ArrowUp' : 'ArrowLeft'];
+    const nextParentKeys = ['PageDown', isHorizontal ? 'ArrowDown' : 'ArrowRight'];
+
+    // In an outline, Right and Left indent and outdent (mirrored right-to-left)
+    const isSwap = (state.options.mode === 'swap');
+    const isOutline = (!isHorizontal && !isSwap && DataDrag.treeSetting(container, 'indent')?.value > 0);
+    const isArrowAcross = (key === 'ArrowRight' || key === 'ArrowLeft');
+    if (isOutline && isArrowAcross) {
+      const isIndentKey = (key === (DataDrag.isRightToLeft(container) ? 'ArrowLeft' : 'ArrowRight'));
+      this.moveToLevel(state, isIndentKey ? 1 : -1);
+      return true;
+    }
+
+    if (key === previousKey) {
+      this.moveWithinParent(state, -1);
+    } else if (key === nextKey) {
+      this.moveWithinParent(state, 1);
+    } else if (previousParentKeys.includes(key)) {
+      this.moveToAdjacentParent(state, -1);
+    } else if (nextParentKeys.includes(key)) {
+      this.moveToAdjacentParent(state, 1);
+    } else {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply a key press to an item picked up with the keyboard in a grid
+   * Left/Right step through the items (mirrored in right-to-left grids),
+   * Up/Down go to the same column of the row above or below, PageUp/PageDown change container
+   *
+   * @param {Object} state - The active keyboard drag state
+   * @param {string} key - KeyboardEvent.key value
+   * @param {HTMLElement} container - Container currently holding the item
+   * @returns {boolean} True if the key was used
+   */
+  handleGridKey(state, key, container) {
+    const isRightToLeft = DataDrag.isRightToLeft(container);
+    const previousKey = isRightToLeft ? 'ArrowRight' : 'ArrowLeft';
+    const nextKey = isRightToLeft ? 'ArrowLeft' : 'ArrowRight';
+
+    // Rows are counted from wherever the keys are aiming: the item, or its swap target
+    const isSwap = (state.options.mode === 'swap');
+    const cursor = isSwap ? (state.swapCandidate || state.item) : (state.copy || state.item);
+    const isRowKey = (key === 'ArrowUp' || key === 'ArrowDown');
+    const rowStep = isRowKey ? DataDrag.gridRowStep(cursor, key === 'ArrowUp' ? -1 : 1) : 0;
+
+    if (key === previousKey) {
+      this.moveWithinParent(state, -1);
+    } else if (key === nextKey) {
+      this.moveWithinParent(state, 1);
+    } else if (isRowKey) {
+      if (rowStep) this.moveWithinParent(state, rowStep);
+    } else if (key === 'PageUp') {
+      this.moveToAdjacentParent(state, -1);
+    } else if (key === 'PageDown') {
+      this.moveToAdjacentParent(state, 1);
     } else {
-      // Invalid drop location - clean up copy if it exists
-      if (state.copy) {
-        state.copy.remove();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Work out how far a grid item moves to reach the same column in the row above or below
+   * A shorter row ends early, so the item goes to that row's last cell instead
+   *
+   * @static
+   * @param {HTMLElement} element - Item (or swap target) the move starts from
+   * @param {number} direction - -1 for the row above, 1 for the row below
+   * @returns {number} Index step to that cell, or 0 if there is no such row
+   */
+  static gridRowStep(element, direction) {
+    const siblings = DataDrag.draggableChildren(element.parentElement);
+    const rows = DataDrag.gridRows(siblings);
+    const rowIndex = rows.findIndex(row => row.cells.some(cell => cell.element === element));
+    const targetRow = rows[rowIndex + direction];
+    if (rowIndex === -1 || !targetRow) return 0;
+
+    const column = rows[rowIndex].cells.findIndex(cell => cell.element === element);
+    const target = targetRow.cells[Math.min(column, targetRow.cells.length - 1)].element;
+    return siblings.indexOf(target) - siblings.indexOf(element);
+  }
+
+  /**
+   * Move a keyboard-dragged item one step within its current container
+   *
+   * @param {Object} state - The active keyboard drag state
+   * @param {number} step - -1 for previous, 1 for next, or a jump to another row in grids
+   */
+  moveWithinParent(state, step) {
+    const isSwap = (state.options.mode === 'swap');
+    if (isSwap) {
+      this.stepSwapTarget(state, step);
+      return;
+    }
+
+    const activeElement = state.copy || state.item;
+    const container = activeElement.parentElement;
+    const siblings = DataDrag.draggableChildren(container);
+    const index = siblings.indexOf(activeElement);
+
+    const targetIndex = index + step;
+    const outOfBounds = (targetIndex < 0 || targetIndex >= siblings.length);
+    if (outOfBounds) return;
+
+    // Moving forward means inserting before the sibling after the next one
+    const reference = (step > 0) ? siblings[targetIndex + 1] || null : siblings[targetIndex];
+
+    // Rules may care about the position, so ask again for every step
+    const denial = DataDrag.findDenial(container, state, targetIndex);
+    if (denial) {
+      state.deniedParent = null;
+      this.reportDenial(state, container, denial, targetIndex);
+      return;
+    }
+
+    this.placeItem(state, container, reference);
+    this.setHoverParent(state, container);
+    activeElement.focus();
+  }
+
+  /**
+   * Indent or outdent a keyboard-dragged item one tree level
+   * Indenting into a collapsed item expands it first
+   *
+   * @param {Object} state - The active keyboard drag state
+   * @param {number} shift - 1 to indent, -1 to outdent
+   */
+  moveToLevel(state, shift) {
+    const activeElement = state.copy || state.item;
+    const container = activeElement.parentElement;
+    const siblings = DataDrag.draggableChildren(container);
+    const position = siblings.indexOf(activeElement);
+    const reference = siblings[position + 1] || null;
+
+    const above = siblings[position - 1];
+    const opensAbove = (shift > 0 && above && DataDrag.isCollapsed(above) && DataDrag.childList(above));
+    if (opensAbove) this.expandBranch(state, above);
+
+    const target = DataDrag.shiftLevel(container, reference, activeElement, shift);
+    const hasMoved = (target.parent !== container);
+    if (!hasMoved) return;
+
+    const index = DataDrag.proposedIndex(target.parent, target.reference, activeElement);
+    const denial = DataDrag.findDenial(target.parent, state, index);
+    if (denial) {
+      state.deniedParent = null;
+      this.reportDenial(state, target.parent, denial, index);
+      return;
+    }
+
+    this.placeItem(state, target.parent, target.reference);
+    this.setHoverParent(state, target.parent);
+    (state.copy || state.item).focus();
+  }
+
+  /**
+   * Move the swap target of a keyboard drag within its container
+   * The item stays where it is until the drop; stepping back onto it clears the target
+   *
+   * @param {Object} state - The active keyboard drag state
+   * @param {number} step - -1 for previous, 1 for next, or a jump to another row in grids
+   */
+  stepSwapTarget(state, step) {
+    const current = state.swapCandidate || state.item;
+    const isEmptySlot = !current.hasAttribute('data-drag');
+    if (isEmptySlot) return;
+
+    const container = current.parentElement;
+    const siblings = DataDrag.draggableChildren(container);
+    const next = siblings[siblings.indexOf(current) + step];
+    if (!next) return;
+
+    const isBackHome = (next === state.item);
+    this.setSwapTarget(state, isBackHome ? null : DataDrag.findSwapTarget(state, next, container));
+    this.setHoverParent(state, container);
+  }
+
+  /**
+   * Move the swap target of a keyboard drag to the previous or next container
+   * It lands on the item at the same position (or the last one); an empty container is a target itself
+   *
+   * @param {Object} state - The active keyboard drag state
+   * @param {number} step - -1 for previous, 1 for next
+   */
+  stepSwapContainer(state, step) {
+    const current = state.swapCandidate || state.item;
+    const isEmptySlot = !current.hasAttribute('data-drag');
+    const container = isEmptySlot ? current : current.parentElement;
+    const index = Math.max(DataDrag.draggableChildren(container).indexOf(current), 0);
+
+    const parents = DataDrag.findAllParents().filter(parent => parent === container || !DataDrag.isFolded(parent));
+    const candidate = parents[parents.indexOf(container) + step];
+    if (!candidate) return;
+
+    const children = DataDrag.draggableChildren(candidate);
+    const next = children[Math.min(index, children.length - 1)] || null;
+    const isBackHome = (next === state.item);
+    this.setSwapTarget(state, isBackHome ? null : DataDrag.findSwapTarget(state, next, candidate));
+    this.setHoverParent(state, candidate);
+  }
+
+  /**
+   * Move a keyboard-dragged item to the previous or next container that accepts it
+   * Keeps the item at the same position, clamped to the new container's length
+   *
+   * @param {Object} state - The active keyboard drag state
+   * @param {number} step - -1 for previous, 1 for next
+   */
+  moveToAdjacentParent(state, step) {
+    const isSwap = (state.options.mode === 'swap');
+    if (isSwap) {
+      this.stepSwapContainer(state, step);
+      return;
+    }
+
+    const activeElement = state.copy || state.item;
+    const container = activeElement.parentElement;
+    const parents = DataDrag.findAllParents();
+    const index = DataDrag.draggableChildren(container).indexOf(activeElement);
+
+    // Walk in the requested direction until a container accepts the item
+    let firstDenied = null;
+    let position = parents.indexOf(container) + step;
+    while (position >= 0 && position < parents.length) {
+      const candidate = parents[position];
+
+      // Lists folded away in collapsed tree items can't be seen, so they are skipped
+      const isFolded = DataDrag.isFolded(candidate);
+      if (isFolded) {
+        position += step;
+        continue;
       }
 
-      // Notify cancellation
-      DataDrag.dispatchEvent(state.parent, 'cancel', {
-        item: state.item,
-        parent: state.parent
-      });
+      const children = DataDrag.draggableChildren(candidate);
+      const reference = children[index] || null;
+      const proposedIndex = DataDrag.proposedIndex(candidate, reference, activeElement);
+      const denial = DataDrag.findDenial(candidate, state, proposedIndex);
+      const isAccepted = (!denial && this.hasRoomFor(candidate, state, reference));
+
+      if (isAccepted) {
+        this.placeItem(state, candidate, reference);
+        this.setHoverParent(state, candidate);
+        (state.copy || state.item).focus();
+        return;
+      }
+
+      firstDenied = firstDenied || { candidate, denial, proposedIndex };
+      position += step;
     }
 
-    // Clear drag state
-    DataDrag.globalDragState = null;
-    this.dragState = null;
+    // Nothing further accepts the item, explain why it did not move
+    const wasRuledOut = (firstDenied?.denial);
+    if (wasRuledOut) {
+      state.deniedParent = null;
+      this.reportDenial(state, firstDenied.candidate, firstDenied.denial, firstDenied.proposedIndex);
+    } else if (firstDenied) {
+      DataDrag.announce(firstDenied.candidate, 'denied', state.item);
+    }
   }
 
   /**
@@ -738,14 +4896,17 @@ class DataDrag {
    * Removes event listeners and unregisters from global registry
    */
   destroy() {
-    this.root.removeEventListener('mousedown', this.handleMouseDown, true);
+    this.root.removeEventListener('pointerdown', this.handlePointerDown, true);
+    this.root.removeEventListener('dragstart', this.handleDragStart, true);
+    this.root.removeEventListener('keydown', this.handleKeyDown);
+    this.root.removeEventListener('focusout', this.handleFocusOut, true);
+    this.observer.disconnect();
+    this.announcer.destroy();
     DataDrag.instances.delete(this);
 
-    const thisInstanceIsDragging = (this.dragState === DataDrag.globalDragState);
+    const thisInstanceIsDragging = (this.dragState && this.dragState === DataDrag.globalDragState);
     if (thisInstanceIsDragging) {
-      document.removeEventListener('mousemove', this.handleMouseMove);
-      document.removeEventListener('mouseup', this.handleMouseUp);
-      DataDrag.globalDragState = null;
+      this.resetDragState(this.dragState);
     }
 
     this.dragState = null;
@@ -761,6 +4922,13 @@ if (!document.getElementById('data-drag-styles')) {
   style.id = 'data-drag-styles';
   style.textContent = `
     [data-drag-parent] { position: relative; }
+    [data-drag] { -webkit-touch-callout: none; }
+    .data-drag-armed { user-select: none; }
+    .data-drag-pending { pointer-events: none; opacity: 0.6; }
+    .data-drag-placeholder { outline: 2px dashed rgba(0, 0, 0, 0.25); outline-offset: -2px; }
+    .data-drag-selected { outline: 2px solid #339af0; outline-offset: -2px; }
+    .data-drag-merge { outline: 2px solid #51cf66; outline-offset: -2px; }
+    .data-drag-swap { outline: 2px dashed #339af0; outline-offset: -2px; }
     .data-drag-dragging { cursor: move !important; }
     .data-drag-mirror { cursor: move !important; }
   `;
@@ -768,10 +4936,13 @@ if (!document.getElementById('data-drag-styles')) {
 }
 
 // Export for ES modules
-export { DataDrag, Access };
+export { DataDrag, Access, Announcer, Group, DragSelection };
 
 // Also expose globally for non-module usage
 if (typeof window !== 'undefined') {
   window.DataDrag = DataDrag;
   window.DataDragAccess = Access;
+  window.DataDragAnnouncer = Announcer;
+  window.DataDragGroup = Group;
+  window.DataDragSelection = DragSelection;
 }
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+test('a child transition does not end the item\'s FLIP animation', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent><div data-drag id="a1"><span id="label">1</span></div></div>
+  `);
+  const item = page.$('a1');
+  const [instance] = page.DataDrag.instances;
+  const transitionEnd = (target, propertyName) => {
+    const event = new page.window.Event('transitionend', { bubbles: true });
+    Object.defineProperty(event, 'propertyName', { value: propertyName });
+    target.dispatchEvent(event);
+  };
+
+  instance.animateInsertion(item, { left: 0, top: 40 }, { left: 0, top: 0 }, 150);
+  await sleep(50);
+  assert.match(item.style.transform, /^translate\(0(px)?, 0(px)?\)$/);
+
+  transitionEnd(page.$('label'), 'transform');
+  transitionEnd(item, 'opacity');
+  assert.notEqual(item.style.transition, '');
+
+  transitionEnd(item, 'transform');
+  assert.equal(item.style.transition, '');
+  assert.equal(item.style.transform, '');
+  page.close();
+});
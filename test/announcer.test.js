@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup } from './setup.js';
+
+const LIST = `<ul id="a" aria-label="Backlog" data-drag-parent='{}'><li data-drag id="a1">Task</li></ul>`;
+
+test('the live region is polite', async () => {
+  const page = await setup(LIST);
+  const region = page.document.querySelector('[role="status"]');
+  assert.equal(region.getAttribute('aria-live'), 'polite');
+  page.close();
+});
+
+test('instances on the same root share one instructions element', async () => {
+  const page = await setup(LIST);
+  const second = new page.DataDrag(page.document);
+  assert.equal(page.document.querySelectorAll('#data-drag-instructions').length, 1);
+
+  second.destroy();
+  assert.equal(page.document.querySelectorAll('#data-drag-instructions').length, 1, 'still used by the first instance');
+  page.close();
+});
+
+test('the instructions follow a replaced DataDrag.messages', async () => {
+  const page = await setup(LIST);
+  const { DataDrag } = page;
+  DataDrag.messages = { ...DataDrag.messages, instructions: 'Pulse Espacio.', pickup: '{item} levantado.' };
+  DataDrag.instances.forEach(instance => instance.announcer.attach());
+  assert.equal(page.document.getElementById('data-drag-instructions').textContent, 'Pulse Espacio.');
+
+  page.key(page.$('a1'), ' ');
+  assert.equal(page.document.querySelector('[role="status"]').textContent, 'Task levantado.');
+  page.key(page.document.activeElement || page.$('a1'), 'Escape');
+  page.close();
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+test('push sends the last item to overflowTo', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div></div>
+    <div id="b" data-drag-parent='{"max": 1, "overflow": "push", "overflowTo": "#c"}'><div data-drag id="b1">b</div></div>
+    <div id="c" data-drag-parent='{}'></div>
+  `);
+  assert.equal(page.DataDrag.moveItem(page.$('a1'), page.$('b')), true);
+  assert.equal(page.ids('a', 'b', 'c'), ' | a1 | b1');
+  page.close();
+});
+
+test('push refuses when overflowTo is full', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div></div>
+    <div id="b" data-drag-parent='{"max": 1, "overflow": "push", "overflowTo": "#c"}'><div data-drag id="b1">b</div></div>
+    <div id="c" data-drag-parent='{"max": 1}'><div data-drag id="c1">c</div></div>
+  `);
+  page.listen(['full']);
+  assert.equal(page.DataDrag.moveItem(page.$('a1'), page.$('b')), false);
+  assert.equal(page.ids('a', 'b', 'c'), 'a1 | b1 | c1');
+  assert.equal(page.events[0][1].displaced, null);
+  page.close();
+});
+
+test('push refuses when overflowTo does not accept the pushed item', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div></div>
+    <div id="b" data-drag-parent='{"max": 1, "overflow": "push", "overflowTo": "#c"}'><div data-drag id="b1" class="locked">b</div></div>
+    <div id="c" data-drag-parent='{"accept": {"deny": [".locked"]}}'></div>
+  `);
+  assert.equal(page.DataDrag.moveItem(page.$('a1'), page.$('b')), false);
+  assert.equal(page.ids('a', 'b', 'c'), 'a1 | b1 | ');
+  page.close();
+});
+
+test('swap refuses when the source does not accept the swapped item', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent='{"group": "left"}'><div data-drag id="a1">1</div></div>
+    <div id="b" data-drag-parent='{"max": 1, "overflow": "swap", "group": {"name": "right", "put": ["left"]}}'><div data-drag id="b1">b</div></div>
+  `);
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  assert.equal(page.ids('a', 'b'), 'a1 | b1');
+  page.close();
+});
+
+test('swap trades the item under the pointer with the incoming one', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div></div>
+    <div id="b" data-drag-parent='{"max": 1, "overflow": "swap"}'><div data-drag id="b1">b</div></div>
+  `);
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  assert.equal(page.ids('a', 'b'), 'b1,a2 | a1');
+  page.close();
+});
+
+test('a copy placeholder leaving a list at its min is not counted as a removal', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent='{"min": 2}'><div data-drag='{"copy": true, "placeholder": true}' id="a1">1</div><div data-drag id="a2">2</div></div>
+    <div id="b" data-drag-parent='{}'><div data-drag id="b1">b</div></div>
+  `);
+  page.drag(page.$('a1'), [[10, 5], [10, 30], [110, 5]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | a1,b1');
+  page.close();
+});
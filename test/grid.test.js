@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup } from './setup.js';
+
+const items = count => Array.from({ length: count }, (_, index) => `<div data-drag='{"direction": "grid"}' id="g${index}">${index}</div>`).join('');
+
+const GRID = `<div id="g" data-columns="4" data-drag-parent='{}'>${items(10)}</div>`;
+
+/**
+ * Pick up an item with the keyboard, press the keys and drop it where it ends up
+ */
+function move(page, id, keys) {
+  const item = page.$(id);
+  item.focus();
+  page.key(item, ' ');
+  keys.forEach(key => page.key(item, key));
+  page.key(item, ' ');
+  return page.DataDrag.draggableChildren(page.$('g')).indexOf(item);
+}
+
+test('ArrowUp from a short last row keeps the column', async () => {
+  const page = await setup(GRID);
+  assert.equal(move(page, 'g9', ['ArrowUp']), 5);
+  page.close();
+});
+
+test('ArrowUp from the first column of a short last row keeps the column', async () => {
+  const page = await setup(GRID);
+  assert.equal(move(page, 'g8', ['ArrowUp']), 4);
+  page.close();
+});
+
+test('ArrowDown into a shorter row keeps the column, or ends the row', async () => {
+  const page = await setup(GRID);
+  assert.equal(move(page, 'g5', ['ArrowDown']), 9);
+  page.close();
+
+  const next = await setup(GRID);
+  assert.equal(move(next, 'g7', ['ArrowDown']), 9);
+  next.close();
+});
+
+test('ArrowUp on the first row and ArrowDown on the last row stay put', async () => {
+  const page = await setup(GRID);
+  assert.equal(move(page, 'g2', ['ArrowUp']), 2);
+  assert.equal(move(page, 'g9', ['ArrowDown']), 9);
+  page.close();
+});
+
+test('direction auto treats wrapping flex rows as a grid but not wrapping columns', async () => {
+  const page = await setup(`
+    <div id="rows" style="display: flex; flex-direction: row; flex-wrap: wrap" data-drag-parent='{}'></div>
+    <div id="columns" style="display: flex; flex-direction: column; flex-wrap: wrap" data-drag-parent='{}'></div>
+  `);
+  const { resolveDirection } = page.DataDrag;
+  assert.equal(resolveDirection(page.$('rows'), { direction: 'auto' }), 'grid');
+  assert.equal(resolveDirection(page.$('columns'), { direction: 'auto' }), 'vertical');
+  page.close();
+});
+
+test('in swap mode ArrowUp aims at the same column of the row above', async () => {
+  const page = await setup(`<div id="g" data-columns="4" data-drag-parent='{"mode": "swap"}'>${items(10)}</div>`);
+  const item = page.$('g9');
+  item.focus();
+  page.key(item, ' ');
+  page.key(item, 'ArrowUp');
+  assert.ok(page.$('g5').classList.contains('data-drag-swap'));
+  page.key(item, 'Enter');
+  assert.equal(page.ids('g'), 'g0,g1,g2,g3,g4,g9,g6,g7,g8,g5');
+  page.close();
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup } from './setup.js';
+
+test('put given as a single name matches whole group names only', async () => {
+  const page = await setup('');
+  const { Group } = page.exports;
+  const group = new Group({ name: 'board', put: 'tasks' });
+
+  assert.deepEqual(group.put, ['tasks']);
+  assert.equal(group.canPut('tasks'), true);
+  assert.equal(group.canPut('task'), false);
+  assert.equal(group.canPut('ask'), false);
+  page.close();
+});
+
+test('put defaults to the own name and keeps true and false', async () => {
+  const page = await setup('');
+  const { Group } = page.exports;
+
+  assert.equal(new Group('tasks').canPut('tasks'), true);
+  assert.equal(new Group('tasks').canPut('ideas'), false);
+  assert.equal(new Group({ name: 'any', put: true }).canPut('ideas'), true);
+  assert.equal(new Group({ name: 'none', put: false }).canPut('none'), false);
+  page.close();
+});
+
+test('a "task" item is refused by a container that puts "tasks"', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent='{"group": "task"}'><div data-drag id="a1">1</div></div>
+    <div id="b" data-drag-parent='{"group": {"name": "board", "put": "tasks"}}'><div data-drag id="b1">b</div></div>
+  `);
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  assert.equal(page.ids('a', 'b'), 'a1 | b1');
+  page.close();
+});
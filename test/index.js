@@ -0,0 +1,19 @@
+/**
+ * Test entry point - `npm test` runs every suite in one process
+ */
+
+import './validation.test.js';
+import './capacity.test.js';
+import './slots.test.js';
+import './merge.test.js';
+import './settle.test.js';
+import './tree.test.js';
+import './mirror.test.js';
+import './announcer.test.js';
+import './selection.test.js';
+import './groups.test.js';
+import './pointer.test.js';
+import './animation.test.js';
+import './swap.test.js';
+import './keyboard.test.js';
+import './grid.test.js';
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const LIST = `
+  <input id="note">
+  <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div><div data-drag id="a3">3</div></div>
+`;
+
+test('Space picks up, the arrow keys move and Space drops', async () => {
+  const page = await setup(LIST);
+  page.listen(['drop']);
+  const item = page.$('a1');
+  item.focus();
+
+  page.key(item, ' ');
+  page.key(item, 'ArrowDown');
+  page.key(item, 'ArrowDown');
+  assert.equal(page.ids('a'), 'a2,a3,a1');
+  page.key(item, ' ');
+  await sleep(50);
+
+  assert.equal(page.events.length, 1);
+  assert.equal(page.DataDrag.globalDragState, null);
+  assert.equal(page.document.activeElement, item);
+  page.close();
+});
+
+test('keys pressed elsewhere do not move or drop a picked-up item', async () => {
+  const page = await setup(LIST);
+  const item = page.$('a1');
+  item.focus();
+  page.key(item, ' ');
+
+  const note = page.$('note');
+  const arrow = new page.window.KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true, cancelable: true });
+  note.dispatchEvent(arrow);
+  const space = new page.window.KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true });
+  note.dispatchEvent(space);
+
+  assert.equal(page.ids('a'), 'a1,a2,a3');
+  assert.equal(arrow.defaultPrevented, false);
+  assert.equal(space.defaultPrevented, false, 'the input still gets its space');
+  assert.notEqual(page.DataDrag.globalDragState, null);
+  page.close();
+});
+
+test('focus moving elsewhere puts the item back', async () => {
+  const page = await setup(LIST);
+  page.listen(['cancel']);
+  const item = page.$('a1');
+  item.focus();
+  page.key(item, ' ');
+  page.key(item, 'ArrowDown');
+  assert.equal(page.ids('a'), 'a2,a1,a3');
+
+  page.$('note').focus();
+  await sleep(50);
+
+  assert.equal(page.ids('a'), 'a1,a2,a3');
+  assert.equal(page.DataDrag.globalDragState, null);
+  assert.equal(page.events.length, 1);
+  assert.equal(page.events[0][1].reason, 'blur');
+  assert.equal(page.document.activeElement, page.$('note'));
+  page.close();
+});
+
+test('a pointer press puts the item back', async () => {
+  const page = await setup(LIST);
+  page.listen(['cancel']);
+  const item = page.$('a1');
+  item.focus();
+  page.key(item, ' ');
+  page.key(item, 'ArrowDown');
+
+  page.pointer(page.document.body, 'pointerdown', 300, 300);
+  page.pointer(page.document, 'pointerup', 300, 300);
+  await sleep(50);
+
+  assert.equal(page.ids('a'), 'a1,a2,a3');
+  assert.equal(page.DataDrag.globalDragState, null);
+  assert.equal(page.events[0][1].reason, 'blur');
+  page.close();
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const LISTS = access => `
+  <div id="a" class="src" data-drag-parent='{}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div></div>
+  <div id="b" data-drag-parent='{"merge": true, "access": ${JSON.stringify(access)}}'><div data-drag id="b1">b</div></div>
+`;
+
+test('dropping onto the centre of an item fires datadrag:merge and a drop with target', async () => {
+  const page = await setup(LISTS({}));
+  page.listen(['merge', 'drop', 'cancel']);
+
+  page.drag(page.$('a1'), [[10, 5], [110, 10], [110, 11]]);
+  await sleep(300);
+
+  assert.deepEqual(page.events.map(([name]) => name), ['merge', 'drop']);
+  assert.equal(page.events[1][1].target, page.$('b1'));
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | b1');
+  page.close();
+});
+
+test('a container that refuses the item refuses merges onto its items too', async () => {
+  const page = await setup(LISTS({ deny: ['.src'] }));
+  page.listen(['merge', 'drop', 'denied', 'cancel']);
+
+  page.drag(page.$('a1'), [[10, 5], [110, 10], [110, 11]]);
+  await sleep(300);
+
+  const names = page.events.map(([name]) => name);
+  assert.ok(names.includes('denied'));
+  assert.ok(!names.includes('merge'));
+  assert.ok(page.events.every(([name, detail]) => name !== 'drop' || detail.target === null));
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | b1');
+  assert.ok(!page.$('b1').classList.contains('data-drag-merge'));
+  page.close();
+});
+
+test('a vetoed merge reports one cancel with the item back home', async () => {
+  const page = await setup(LISTS({}));
+  page.listen(['cancel']);
+  page.document.addEventListener('datadrag:drop', event => event.preventDefault());
+
+  page.drag(page.$('a1'), [[10, 5], [110, 10], [110, 11]]);
+  await sleep(300);
+
+  assert.equal(page.events.length, 1);
+  assert.equal(page.events[0][1].reason, 'vetoed');
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | b1');
+  assert.equal(page.document.querySelectorAll('.data-drag-mirror').length, 0);
+  page.close();
+});
+
+test('a merge whose rollback fails is reported with console.warn', async (t) => {
+  const page = await setup(LISTS({}));
+  const warn = t.mock.method(console, 'warn', () => {});
+  const [instance] = page.DataDrag.instances;
+  page.document.addEventListener('datadrag:drop', event => {
+    // The merge itself puts the item home; only the rollback should fail
+    t.mock.method(instance, 'restoreOrigin', () => { throw new Error('origin is gone'); });
+    event.detail.waitUntil(Promise.reject(new Error('no')));
+  });
+
+  page.drag(page.$('a1'), [[10, 5], [110, 10], [110, 11]]);
+  await sleep(300);
+
+  const [message, error] = warn.mock.calls.at(-1).arguments;
+  assert.equal(message, 'data-drag rollback failed:');
+  assert.equal(error.message, 'origin is gone');
+  page.close();
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const LISTS = options => `
+  <div id="a" data-drag-parent='${JSON.stringify(options)}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div></div>
+  <div id="b" data-drag-parent='{}'><div data-drag id="b1">b</div></div>
+`;
+
+/**
+ * Start a drag of a1 into b and return the mirror shown for it
+ */
+function startDrag(page) {
+  page.pointer(page.$('a1'), 'pointerdown', 10, 5);
+  page.pointer(page.document, 'pointermove', 110, 5);
+  return page.document.querySelector('.data-drag-mirror');
+}
+
+test('a mirror name that is not a valid selector warns and falls back to a clone', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const page = await setup(LISTS({ mirror: 'compact!!' }));
+
+  const mirror = startDrag(page);
+  assert.equal(mirror?.textContent, '1');
+  assert.equal(warn.mock.calls[0].arguments[0], 'Invalid selector pattern:');
+
+  page.pointer(page.document, 'pointerup', 110, 6);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a2 | a1,b1');
+  page.close();
+});
+
+test('a renderer that returns no element warns and falls back to a clone', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const page = await setup(LISTS({ mirror: 'broken' }));
+  page.DataDrag.registerMirror('broken', () => '<div>not an element</div>');
+
+  const mirror = startDrag(page);
+  assert.equal(mirror?.textContent, '1');
+  assert.equal(warn.mock.calls[0].arguments[1], 'broken');
+  page.pointer(page.document, 'pointerup', 110, 6);
+  page.close();
+});
+
+test('a renderer that throws warns and falls back to a clone', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const page = await setup(LISTS({ mirror: 'throws' }));
+  page.DataDrag.registerMirror('throws', () => { throw new Error('render failed'); });
+
+  assert.equal(startDrag(page)?.textContent, '1');
+  page.pointer(page.document, 'pointerup', 110, 6);
+  page.close();
+});
+
+test('a placeholder name that is not a valid selector warns and uses a plain stand-in', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const page = await setup(`
+    <div id="a" data-drag-parent='{}'><div data-drag='{"placeholder": "card!!"}' id="a1">1</div><div data-drag id="a2">2</div></div>
+    <div id="b" data-drag-parent='{}'><div data-drag id="b1">b</div></div>
+  `);
+
+  startDrag(page);
+  const placeholder = page.document.querySelector('.data-drag-placeholder');
+  assert.equal(placeholder?.tagName, 'DIV');
+  assert.equal(warn.mock.calls[0].arguments[0], 'Invalid selector pattern:');
+
+  page.pointer(page.document, 'pointerup', 110, 6);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a2 | a1,b1');
+  page.close();
+});
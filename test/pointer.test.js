@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+test('touchDelay 0 sets touch-action none on the handle, or on the item without one', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent>
+      <div data-drag='{"touchDelay": 0}' id="a1">1</div>
+      <div data-drag='{"touchDelay": 0, "handle": ".grip"}' id="a2"><span class="grip" id="g2">⋮</span> 2</div>
+      <div data-drag='{"touchDelay": 0}' id="a3" style="touch-action: pan-y">3</div>
+      <div data-drag id="a4">4</div>
+    </div>
+  `);
+  await sleep(0);
+  assert.equal(page.$('a1').style.touchAction, 'none');
+  assert.equal(page.$('a2').style.touchAction, '');
+  assert.equal(page.$('g2').style.touchAction, 'none');
+  assert.equal(page.$('a3').style.touchAction, 'pan-y');
+  assert.equal(page.$('a4').style.touchAction, '');
+  page.close();
+});
+
+test('a completed long press sets touch-action none until the drag ends', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent>
+      <div data-drag='{"touchDelay": 20}' id="a1" style="touch-action: pan-y">1</div>
+      <div data-drag id="a2">2</div>
+    </div>
+  `);
+  const touch = { pointerType: 'touch' };
+  page.pointer(page.$('a1'), 'pointerdown', 10, 5, touch);
+  assert.equal(page.$('a1').style.touchAction, 'pan-y');
+
+  await sleep(40);
+  assert.equal(page.$('a1').style.touchAction, 'none');
+
+  page.pointer(page.document, 'pointerup', 10, 5, touch);
+  assert.equal(page.$('a1').style.touchAction, 'pan-y');
+  page.close();
+});
+
+test('a native dragstart inside an item is cancelled while a pointer drag is under way', async () => {
+  const page = await setup(`
+    <div id="a" data-drag-parent>
+      <div data-drag id="a1"><img id="photo" alt=""> 1</div>
+      <div data-drag id="a2">2</div>
+    </div>
+  `);
+  const dragStart = () => {
+    const event = new page.window.Event('dragstart', { bubbles: true, cancelable: true, composed: true });
+    page.$('photo').dispatchEvent(event);
+    return event;
+  };
+
+  assert.equal(dragStart().defaultPrevented, false);
+
+  page.pointer(page.$('photo'), 'pointerdown', 10, 5);
+  assert.equal(dragStart().defaultPrevented, true);
+
+  page.pointer(page.document, 'pointermove', 10, 30);
+  assert.equal(dragStart().defaultPrevented, true);
+
+  page.pointer(page.document, 'pointerup', 10, 30);
+  await sleep(300);
+  assert.equal(dragStart().defaultPrevented, false);
+  page.close();
+});
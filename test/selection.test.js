@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const LISTS = `
+  <div id="a" data-drag-parent='{"select": true}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div><div data-drag id="a3">3</div></div>
+  <div id="b" data-drag-parent='{"select": true}'><div data-drag id="b1">b</div></div>
+`;
+
+test('the selection is a DragSelection and does not shadow the DOM Selection', async () => {
+  const page = await setup(LISTS);
+  assert.equal(page.exports.Selection, undefined);
+  assert.ok(page.DataDrag.selection instanceof page.exports.DragSelection);
+  assert.equal(page.window.DataDragSelection, page.exports.DragSelection);
+  page.close();
+});
+
+test('dragging a selected item takes the selection along', async () => {
+  const page = await setup(LISTS);
+  page.pointer(page.$('a1'), 'pointerdown', 10, 5, { ctrlKey: true });
+  page.pointer(page.document, 'pointerup', 10, 5, { ctrlKey: true });
+  page.pointer(page.$('a3'), 'pointerdown', 10, 45, { ctrlKey: true });
+  page.pointer(page.document, 'pointerup', 10, 45, { ctrlKey: true });
+  assert.deepEqual(page.DataDrag.selection.items().map(item => item.id), ['a1', 'a3']);
+
+  page.drag(page.$('a1'), [[10, 5], [110, 25], [110, 26]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a2 | b1,a1,a3');
+  page.close();
+});
+
+test('followers stay locked while the drop is being validated', async () => {
+  const page = await setup(LISTS);
+  let answer;
+  page.document.addEventListener('datadrag:drop', event => event.detail.waitUntil(new Promise((resolve, reject) => { answer = reject; })));
+  page.pointer(page.$('a1'), 'pointerdown', 10, 5, { ctrlKey: true });
+  page.pointer(page.document, 'pointerup', 10, 5, { ctrlKey: true });
+  page.pointer(page.$('a3'), 'pointerdown', 10, 45, { ctrlKey: true });
+  page.pointer(page.document, 'pointerup', 10, 45, { ctrlKey: true });
+
+  page.drag(page.$('a1'), [[10, 5], [110, 25], [110, 26]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a2 | b1,a1,a3');
+  assert.ok(page.$('a3').classList.contains('data-drag-pending'));
+  assert.ok(page.DataDrag.pendingItems.has(page.$('a3')));
+
+  // Dragging the follower back is refused until the answer comes
+  page.drag(page.$('a3'), [[110, 45], [10, 5], [10, 6]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a2 | b1,a1,a3');
+
+  answer(new Error('no'));
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a1,a2,a3 | b1');
+  assert.ok(!page.$('a3').classList.contains('data-drag-pending'));
+  page.close();
+});
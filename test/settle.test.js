@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const LISTS = `
+  <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div></div>
+  <div id="b" data-drag-parent='{}'><div data-drag id="b1">b</div></div>
+`;
+
+test('the dropped item is hidden while the mirror settles and shown after', async () => {
+  const page = await setup(LISTS);
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  assert.equal(page.$('a1').style.visibility, 'hidden');
+
+  await sleep(400);
+  assert.equal(page.$('a1').style.visibility, '');
+  assert.equal(page.document.querySelectorAll('.data-drag-mirror').length, 0);
+  page.close();
+});
+
+test('grabbing an item again mid-settle finishes the old settle first', async () => {
+  const page = await setup(LISTS);
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  await sleep(50);
+  page.drag(page.$('a1'), [[110, 5], [10, 5], [10, 6]]);
+  assert.equal(page.document.querySelectorAll('.data-drag-mirror').length, 1, 'only the new drop settles');
+
+  await sleep(600);
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | b1');
+  assert.equal(page.$('a1').style.visibility, '');
+  assert.equal(page.document.querySelectorAll('.data-drag-mirror').length, 0);
+  page.close();
+});
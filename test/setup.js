@@ -0,0 +1,146 @@
+/**
+ * Test environment - a jsdom page with just enough layout for drags
+ *
+ * jsdom has no layout engine, so containers are laid out side by side,
+ * 100px wide, and their items are stacked 20px rows (or, in a container
+ * with data-columns, a grid of that many columns). Every test gets a
+ * fresh page and a fresh copy of the library bound to it.
+ */
+
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const GLOBALS = [
+  'window', 'document', 'CustomEvent', 'HTMLElement', 'Element', 'Node', 'MutationObserver',
+  'KeyboardEvent', 'MouseEvent', 'Event', 'ShadowRoot', 'CSSStyleSheet', 'HTMLTemplateElement'
+];
+
+const BOUND_GLOBALS = ['requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle'];
+
+let loads = 0;
+
+/**
+ * Create a page and load the library into it
+ *
+ * @param {string} html - Body markup
+ * @returns {Promise<Object>} { window, document, DataDrag, exports, $, ids, drag, pointer, key, events, close }
+ */
+export async function setup(html) {
+  // Exceptions in listeners still surface; jsdom's missing scrollBy() and friends don't
+  const virtualConsole = new VirtualConsole().forwardTo(console, { jsdomErrors: ['unhandled-exception'] });
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, { pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  const { document } = window;
+
+  GLOBALS.forEach(name => { globalThis[name] = window[name]; });
+  BOUND_GLOBALS.forEach(name => { globalThis[name] = window[name].bind(window); });
+  Object.defineProperty(globalThis, 'navigator', { value: window.navigator, configurable: true });
+
+  class PointerEvent extends window.MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId ?? 1;
+      this.pointerType = init.pointerType ?? 'mouse';
+      this.isPrimary = init.isPrimary ?? true;
+    }
+  }
+  window.PointerEvent = globalThis.PointerEvent = PointerEvent;
+  window.matchMedia = globalThis.matchMedia = () => ({ matches: false, addEventListener() {} });
+
+  layout(window);
+
+  const exports = await import(`../index.js?page=${++loads}`);
+  const events = [];
+  const $ = id => document.querySelector(`#${id}:not(.data-drag-mirror)`);
+
+  return {
+    window,
+    document,
+    exports,
+    DataDrag: exports.DataDrag,
+    events,
+    $,
+
+    /** Record datadrag:* events, as [name, detail] pairs */
+    listen(names) {
+      names.forEach(name => document.addEventListener(`datadrag:${name}`, event => events.push([name, event.detail])));
+    },
+
+    /** Ids of each container's items, e.g. "a1,a2 | b1" */
+    ids(...containers) {
+      return containers
+        .map(id => [...$(id).children].filter(child => !child.classList.contains('data-drag-mirror')).map(child => child.id || 'copy').join(','))
+        .join(' | ');
+    },
+
+    /** Dispatch a pointer event */
+    pointer(target, type, x, y, init = {}) {
+      const event = new PointerEvent(type, { bubbles: true, composed: true, cancelable: true, clientX: x, clientY: y, button: 0, ...init });
+      target.dispatchEvent(event);
+      return event;
+    },
+
+    /** Press on an item, move through the points and release on the last one */
+    drag(item, points) {
+      this.pointer(item, 'pointerdown', ...points[0]);
+      points.slice(1).forEach(point => this.pointer(document, 'pointermove', ...point));
+      this.pointer(document, 'pointerup', ...points.at(-1));
+    },
+
+    /** Press a key on an element */
+    key(target, key, init = {}) {
+      target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, composed: true, cancelable: true, ...init }));
+    },
+
+    close() {
+      window.close();
+    }
+  };
+}
+
+/**
+ * Wait for timers, animations and settles to finish
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Give the page a fixed geometry in place of a layout engine
+ *
+ * @param {Window} window - The jsdom window
+ */
+function layout(window) {
+  const { document } = window;
+  const rect = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height, x: left, y: top });
+  const topContainers = () => [...document.querySelectorAll('[data-drag-parent]')]
+    .filter(container => !container.parentElement.closest('[data-drag-parent]'));
+  const visibleChildren = container => [...container.children].filter(child => child.style.display !== 'none');
+  const columnsOf = container => Number(container.dataset.columns) || 1;
+
+  window.Element.prototype.getBoundingClientRect = function () {
+    const isContainer = this.matches('[data-drag-parent]');
+    if (isContainer) return rect(topContainers().indexOf(this) * 100, 0, 100, 1000);
+
+    const parent = this.parentElement;
+    const isItem = parent?.matches('[data-drag-parent]');
+    if (isItem) {
+      const index = visibleChildren(parent).indexOf(this);
+      const columns = columnsOf(parent);
+      const width = 100 / columns;
+      return rect(parent.getBoundingClientRect().left + (index % columns) * width, Math.floor(index / columns) * 20, width, 20);
+    }
+
+    return rect(0, 0, 0, 0);
+  };
+
+  document.elementFromPoint = (x, y) => {
+    const container = topContainers()[Math.floor(x / 100)];
+    if (!container) return document.body;
+    const columns = columnsOf(container);
+    const index = Math.floor(y / 20) * columns + Math.floor((x % 100) / (100 / columns));
+    return visibleChildren(container)[index] || container;
+  };
+}
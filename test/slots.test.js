@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const FORM = `
+  <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div><div data-drag id="a3" class="locked">3</div></div>
+  <div id="s" data-drag-parent='{"slot": true}'></div>
+  <div id="t" data-drag-parent='{"slot": true, "replaced": "#bin"}'><div data-drag id="t1">t</div></div>
+  <div id="u" data-drag-parent='{"slot": true, "replaced": "discard"}'><div data-drag id="u1">u</div></div>
+  <div id="bin" data-drag-parent='{"accept": {"deny": [".locked"]}}'></div>
+`;
+
+test('a replaced occupant returns to where it was dropped in from', async () => {
+  const page = await setup(FORM);
+  page.listen(['drop']);
+
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 's'), 'a2,a3 | a1');
+
+  page.drag(page.$('a2'), [[10, 5], [110, 5], [110, 6]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 's'), 'a1,a3 | a2');
+  assert.deepEqual(page.events.at(-1)[1].displaced.map(element => element.id), ['a1']);
+  page.close();
+});
+
+test('replaced: a selector moves the occupant to that container', async () => {
+  const page = await setup(FORM);
+  page.drag(page.$('a1'), [[10, 5], [210, 5], [210, 6]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 't', 'bin'), 'a2,a3 | a1 | t1');
+  page.close();
+});
+
+test('replaced: "discard" removes the occupant, and it comes back if the drag moves on', async () => {
+  const page = await setup(FORM);
+  page.drag(page.$('a1'), [[10, 5], [310, 5], [10, 5], [10, 6]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'u'), 'a1,a2,a3 | u1');
+
+  page.drag(page.$('a1'), [[10, 5], [310, 5], [310, 6]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'u'), 'a2,a3 | a1');
+  assert.equal(page.$('u1'), null);
+  page.close();
+});
+
+test('the slot refuses when the occupant is not allowed where it would go', async () => {
+  const page = await setup(FORM);
+  page.listen(['full']);
+  assert.equal(page.DataDrag.moveItem(page.$('t1'), page.$('a')), true);
+  assert.equal(page.DataDrag.moveItem(page.$('a3'), page.$('t')), true);
+
+  assert.equal(page.DataDrag.moveItem(page.$('a1'), page.$('t')), false);
+  assert.equal(page.ids('a', 't', 'bin'), 'a1,a2,t1 | a3 | ');
+  const [, detail] = page.events.at(-1);
+  assert.equal(detail.overflow, 'replace');
+  assert.equal(detail.displaced, null);
+  page.close();
+});
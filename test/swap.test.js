@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const TABLES = `
+  <div id="a" data-drag-parent='{"mode": "swap"}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div></div>
+  <div id="b" data-drag-parent='{"mode": "swap"}'><div data-drag id="b1">b</div></div>
+`;
+
+test('dropping on an item trades the two items\' places', async () => {
+  const page = await setup(TABLES);
+  page.listen(['swap']);
+
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  await sleep(300);
+
+  assert.equal(page.ids('a', 'b'), 'b1,a2 | a1');
+  assert.equal(page.events.length, 1);
+  assert.equal(page.events[0][1].target, page.$('b1'));
+  page.close();
+});
+
+test('a swap whose rollback fails is reported with console.warn', async (t) => {
+  const page = await setup(TABLES);
+  const warn = t.mock.method(console, 'warn', () => {});
+  const [instance] = page.DataDrag.instances;
+  t.mock.method(instance, 'restoreOrigin', () => { throw new Error('origin is gone'); });
+  page.document.addEventListener('datadrag:swap', event => event.detail.waitUntil(Promise.reject(new Error('no'))));
+
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  await sleep(300);
+
+  const [message, error] = warn.mock.calls.at(-1).arguments;
+  assert.equal(message, 'data-drag rollback failed:');
+  assert.equal(error.message, 'origin is gone');
+  page.close();
+});
+
+test('the swapped target stays locked while the swap is being validated', async () => {
+  const page = await setup(TABLES);
+  let answer;
+  page.document.addEventListener('datadrag:swap', event => event.detail.waitUntil(new Promise((resolve, reject) => { answer = reject; })));
+
+  page.drag(page.$('a1'), [[10, 5], [110, 5], [110, 6]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'b1,a2 | a1');
+  assert.ok(page.$('b1').classList.contains('data-drag-pending'));
+
+  // Dragging the target again is refused until the answer comes
+  page.drag(page.$('b1'), [[10, 5], [10, 25], [10, 26]]);
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'b1,a2 | a1');
+
+  answer(new Error('no'));
+  await sleep(300);
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | b1');
+  assert.ok(!page.$('b1').classList.contains('data-drag-pending'));
+  page.close();
+});
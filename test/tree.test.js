@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+// b refuses a1, so the pointer stays over b1 instead of sorting a1 under it
+const LISTS = config => `
+  <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div></div>
+  <div id="b" data-drag-parent='${JSON.stringify({ accept: { deny: ['#a1'] }, ...config })}'><div data-drag id="b1" aria-expanded="false">b</div></div>
+`;
+
+/**
+ * Rest a drag on b1 for a while, then drop it back home
+ */
+async function restOnB1(page, ms) {
+  page.pointer(page.$('a1'), 'pointerdown', 10, 5);
+  page.pointer(page.document, 'pointermove', 110, 5);
+  page.pointer(page.document, 'pointermove', 110, 6);
+  await sleep(ms);
+  page.key(page.document, 'Escape');
+  page.pointer(page.document, 'pointerup', 110, 6);
+}
+
+test('collapsed cards in a plain list stay shut during a drag', async () => {
+  const page = await setup(LISTS({}));
+  page.listen(['expand']);
+  await restOnB1(page, 700);
+  assert.equal(page.events.length, 0);
+  assert.equal(page.$('b1').getAttribute('aria-expanded'), 'false');
+  page.close();
+});
+
+test('a tree with expandDelay opens a collapsed item the drag rests on', async () => {
+  const page = await setup(LISTS({ expandDelay: 30 }));
+  page.listen(['expand']);
+  await restOnB1(page, 100);
+  assert.deepEqual(page.events.map(([name]) => name), ['expand']);
+  page.close();
+});
+
+test('a tree with indent expands after the default delay', async () => {
+  const page = await setup(LISTS({ indent: 20 }));
+  page.listen(['expand']);
+  await restOnB1(page, 700);
+  assert.deepEqual(page.events.map(([name]) => name), ['expand']);
+  page.close();
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setup, sleep } from './setup.js';
+
+const BOARD = `
+  <div id="a" data-drag-parent='{}'><div data-drag id="a1">1</div><div data-drag id="a2">2</div></div>
+  <div id="b" data-drag-parent='{"adopted": {"class": "done"}}'><div data-drag id="b1">b</div></div>
+`;
+
+/**
+ * A stand-in for the server: answers after a short delay
+ */
+function mockApi() {
+  const requests = [];
+  return {
+    requests,
+    move(detail, accept) {
+      requests.push({ item: detail.item.id, to: detail.to.id, index: detail.newIndex });
+      return new Promise((resolve, reject) => {
+        setTimeout(() => (accept ? resolve({ ok: true }) : reject(new Error('Moving to Done is not allowed'))), 10);
+      });
+    }
+  };
+}
+
+test('a drop waits for waitUntil() and is kept when the promise resolves', async () => {
+  const page = await setup(BOARD);
+  const api = mockApi();
+  page.listen(['add', 'remove', 'rollback']);
+  page.document.addEventListener('datadrag:drop', event => event.detail.waitUntil(api.move(event.detail, true)));
+
+  page.drag(page.$('a1'), [[10, 5], [10, 30], [110, 5]]);
+  const item = page.$('a1');
+  assert.equal(page.ids('a', 'b'), 'a2 | a1,b1');
+  assert.ok(item.classList.contains('data-drag-pending'));
+  assert.ok(page.DataDrag.pendingItems.has(item));
+  assert.deepEqual(page.events, [], 'add/remove wait for the answer');
+
+  await sleep(50);
+  assert.deepEqual(api.requests, [{ item: 'a1', to: 'b', index: 0 }]);
+  assert.equal(page.ids('a', 'b'), 'a2 | a1,b1');
+  assert.ok(!item.classList.contains('data-drag-pending'));
+  assert.ok(item.classList.contains('done'));
+  assert.deepEqual(page.events.map(([name]) => name).sort(), ['add', 'remove']);
+  page.close();
+});
+
+test('a rejected waitUntil() rolls the drop back and fires datadrag:rollback', async () => {
+  const page = await setup(BOARD);
+  const api = mockApi();
+  page.listen(['add', 'remove', 'rollback']);
+  page.document.addEventListener('datadrag:drop', event => event.detail.waitUntil(api.move(event.detail, false)));
+
+  page.drag(page.$('a1'), [[10, 5], [10, 30], [110, 5]]);
+  await sleep(50);
+
+  const item = page.$('a1');
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | b1');
+  assert.ok(!item.classList.contains('data-drag-pending'));
+  assert.ok(!item.classList.contains('done'), 'adoption is undone');
+  assert.ok(!page.DataDrag.pendingItems.has(item));
+
+  const names = page.events.map(([name]) => name);
+  assert.deepEqual(names, ['rollback']);
+  const [, detail] = page.events[0];
+  assert.equal(detail.item, item);
+  assert.equal(detail.error.message, 'Moving to Done is not allowed');
+  page.close();
+});
+
+test('a vetoed drop puts the item back without asking the server', async () => {
+  const page = await setup(BOARD);
+  const api = mockApi();
+  page.document.addEventListener('datadrag:drop', event => event.preventDefault());
+  page.document.addEventListener('datadrag:drop', event => event.detail.waitUntil(api.move(event.detail, true)));
+
+  page.drag(page.$('a1'), [[10, 5], [10, 30], [110, 5]]);
+  await sleep(50);
+  assert.equal(page.ids('a', 'b'), 'a1,a2 | b1');
+  page.close();
+});
+
+test('a rollback that throws is reported with console.warn instead of rejecting', async (t) => {
+  const page = await setup(BOARD);
+  const api = mockApi();
+  const warn = t.mock.method(console, 'warn', () => {});
+  const [instance] = page.DataDrag.instances;
+  t.mock.method(instance, 'restoreOrigin', () => { throw new Error('origin is gone'); });
+  page.document.addEventListener('datadrag:drop', event => event.detail.waitUntil(api.move(event.detail, false)));
+
+  page.drag(page.$('a1'), [[10, 5], [10, 30], [110, 5]]);
+  await sleep(50);
+
+  const [message, error] = warn.mock.calls.at(-1).arguments;
+  assert.equal(message, 'data-drag rollback failed:');
+  assert.equal(error.message, 'origin is gone');
+  page.close();
+});